@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Журнал удалений: userId не хранится, только обезличенный идентификатор, которым заменены ссылки
+const accountDeletionSchema = new mongoose.Schema({
+  anonymizedId: { type: String, required: true, unique: true },
+  deleted: { type: Map, of: Number, default: {} }, // Коллекция -> сколько документов удалено
+  anonymized: { type: Map, of: Number, default: {} }, // Коллекция -> сколько документов обезличено
+  createdAt: { type: Date, default: Date.now },
+});
+
+const AccountDeletion = mongoose.model('AccountDeletion', accountDeletionSchema);
+
+module.exports = AccountDeletion;
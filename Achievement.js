@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const achievementSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: { type: String, required: true },
+  icon: { type: String, default: '🏆' },
+  rule: {
+    kind: { type: String, enum: ['counter', 'rank', 'event', 'session'], required: true },
+    field: { type: String, default: null }, // Поле CommandStats для counter и rank
+    target: { type: Number, default: null }, // Порог для counter, размер топа для rank, секунды непрерывной сессии для session
+  },
+  reward: {
+    stars: { type: Number, default: 0 },
+  },
+  order: { type: Number, default: 0 },
+  enabled: { type: Boolean, default: true },
+});
+
+const Achievement = mongoose.model('Achievement', achievementSchema);
+
+module.exports = Achievement;
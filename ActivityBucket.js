@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Один документ на пользователя, сервер и день (UTC, как ключи messagesByDate)
+const activityBucketSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  serverId: { type: String, required: true },
+  date: { type: String, required: true }, // YYYY-MM-DD
+  messages: { type: Number, default: 0 },
+  voiceSeconds: { type: Number, default: 0 },
+  mutes: { type: Number, default: 0 },
+  unmutes: { type: Number, default: 0 },
+  kicks: { type: Number, default: 0 },
+  bans: { type: Number, default: 0 },
+  unbans: { type: Number, default: 0 },
+});
+
+activityBucketSchema.index({ userId: 1, serverId: 1, date: 1 }, { unique: true });
+activityBucketSchema.index({ date: 1 });
+
+const ActivityBucket = mongoose.model('ActivityBucket', activityBucketSchema);
+
+module.exports = ActivityBucket;
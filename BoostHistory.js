@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const boostHistorySchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  serverId: { type: String, required: true },
+  event: { type: String, required: true, enum: ['activated', 'extended', 'replaced', 'stacked', 'expired'] },
+  percentage: { type: Number, default: null },
+  expiresAt: { type: Date, default: null },
+  previous: {
+    percentage: Number,
+    expiresAt: Date,
+  },
+  source: { type: String, default: null }, // Предмет или лутбокс, давший буст
+  createdAt: { type: Date, default: Date.now },
+});
+
+boostHistorySchema.index({ userId: 1, serverId: 1, createdAt: -1 });
+
+const BoostHistory = mongoose.model('BoostHistory', boostHistorySchema);
+
+module.exports = BoostHistory;
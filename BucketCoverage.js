@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// С какого дня (UTC, YYYY-MM-DD) корзины ActivityBucket каждой метрики пополняются на сервере.
+// Поля без значения по умолчанию: $min по отсутствующему полю просто его записывает
+const bucketCoverageSchema = new mongoose.Schema({
+  serverId: { type: String, required: true, unique: true },
+  messages: String,
+  voiceSeconds: String,
+  mutes: String,
+  unmutes: String,
+  kicks: String,
+  bans: String,
+  unbans: String,
+});
+
+const BucketCoverage = mongoose.model('BucketCoverage', bucketCoverageSchema);
+
+module.exports = BucketCoverage;
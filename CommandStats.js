@@ -7,7 +7,11 @@ const commandStatsSchema = new mongoose.Schema({
   serverId: { type: String, required: true },
   stars: { type: Number, default: 0 },
   totalMuteCount: { type: Number, default: 0 },
-  roleAcquisitionDates: { type: Map, of: Date, default: {} },
+  roleHistory: [{
+    roleId: String,
+    startedAt: Date,
+    endedAt: { type: Date, default: null }, // null - роль есть до сих пор
+  }],
   muteCount: { type: Number, default: 0 },
   unmuteCount: { type: Number, default: 0 },
   kickCount: { type: Number, default: 0 },
@@ -31,6 +35,13 @@ const commandStatsSchema = new mongoose.Schema({
   banCountLast30Days: { type: Number, default: 0 },
   unbanCountLast30Days: { type: Number, default: 0 },
   messagesByDate: { type: Map, of: Number, default: {} },
+  voiceByDate: { type: Map, of: Number, default: {} }, // Секунды в голосе по дням (UTC)
+  privacy: {
+    balance: { type: String, enum: ['public', 'staff', 'private'], default: 'public' },
+    staffStats: { type: String, enum: ['public', 'staff', 'private'], default: 'public' },
+    activity: { type: String, enum: ['public', 'staff', 'private'], default: 'public' },
+    listedOnLeaderboards: { type: Boolean, default: true },
+  },
 lastMessageDate: { type: Date, default: new Date(0) },
   nominationCount: { type: Number, default: 0 },
   nominationCountTodayByMessages: { type: Number, default: 0 },
@@ -41,7 +52,8 @@ lastMessageDate: { type: Date, default: new Date(0) },
   nominationCountMonthByMutes: { type: Number, default: 0 },
   activeStarBoost: {
     percentage: Number,   
-    expiresAt: Date 
+    expiresAt: Date,
+    startedAt: Date,
 },
 voiceTime: { type: Number, default: 0 },
 voiceTimeToday: { type: Number, default: 0 },
@@ -52,7 +64,15 @@ regularLootboxCount: { type: Number, default: 0 },
 totalLootboxCount: { type: Number, default: 0 }, 
 epicLootboxCount: { type: Number, default: 0 },     
 legendaryLootboxCount: { type: Number, default: 0 },
-boughtEPCGenerators: { type: String, default: null },
+purchaseCount: { type: Number, default: 0 }, // Покупок в магазине, для заданий
+generators: [{
+  itemId: String,
+  name: String,
+  ratePerHour: Number, // Звёзд в час
+  storageCap: Number, // Сколько звёзд генератор накапливает до сбора
+  acquiredAt: Date,
+  lastClaimedAt: Date,
+}],
  userAvatar: { type: String, default: null },
  uuid: {
   type: String,
@@ -61,4 +81,16 @@ boughtEPCGenerators: { type: String, default: null },
 },
 });
 
+commandStatsSchema.index({ userId: 1, serverId: 1 });
+
+// Сортировка таблиц лидеров (при равенстве - по _id) и подсчёт мест через $gt
+[
+  'totalMessages', 'messagesToday', 'messagesLast7Days', 'messagesLast30Days',
+  'voiceTime', 'voiceTimeToday', 'voiceLast7Days', 'voiceLast30Days',
+  'stars',
+  'muteCount', 'muteCountToday', 'muteCountLast7Days', 'muteCountLast30Days',
+  'kickCount', 'kickCountLast7Days', 'kickCountLast30Days',
+  'banCount', 'banCountLast7Days', 'banCountLast30Days',
+].forEach(field => commandStatsSchema.index({ serverId: 1, [field]: -1, _id: 1 }));
+
 module.exports = mongoose.model('CommandStats', commandStatsSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const guildConfigSchema = new mongoose.Schema({
+  guildId: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  // Порядок важен: роли перечислены от старшей к младшей
+  staffRoles: [{
+    roleId: { type: String, required: true },
+    name: { type: String, required: true },
+    isAdmin: { type: Boolean, default: false },
+    className: { type: String, default: null },
+  }],
+  discountRoles: [{
+    roleId: { type: String, required: true },
+    percentage: { type: Number, required: true },
+  }],
+  shop: {
+    enabled: { type: Boolean, default: true },
+    weekendDiscount: { type: Number, default: 0 },
+    // Как складываются скидки: additive - сумма, multiplicative - по очереди, best - только наибольшая
+    stacking: { type: String, enum: ['additive', 'multiplicative', 'best'], default: 'multiplicative' },
+    maxDiscount: { type: Number, default: 90 },
+  },
+  boosts: {
+    // extend - продлить, оставив больший процент; replace - заменить; stack - сложить проценты
+    stacking: { type: String, enum: ['extend', 'replace', 'stack'], default: 'extend' },
+    maxPercentage: { type: Number, default: 100 },
+    maxDurationMinutes: { type: Number, default: 7 * 24 * 60 },
+  },
+  seasons: {
+    enabled: { type: Boolean, default: false },
+    cadence: { type: String, enum: ['monthly', 'quarterly'], default: 'monthly' },
+    // Награды за места fromRank..toRank в итоговой таблице метрики; itemId - товар, который кладётся в инвентарь
+    rewards: [{
+      metric: { type: String, required: true, enum: ['messages', 'voice', 'stars'] },
+      fromRank: { type: Number, required: true, min: 1 },
+      toRank: {
+        type: Number,
+        required: true,
+        min: 1,
+        validate: {
+          validator(value) {
+            return value >= this.fromRank;
+          },
+          message: 'toRank не может быть меньше fromRank',
+        },
+      },
+      stars: { type: Number, default: 0, min: 0 },
+      itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', default: null },
+      quantity: { type: Number, default: 1, min: 1 },
+    }],
+  },
+  theme: {
+    primaryColor: { type: String, default: '#00FFFF' },
+    accentColor: { type: String, default: '#6E40C9' },
+    backgroundColor: { type: String, default: '#0D1117' },
+  },
+});
+
+const GuildConfig = mongoose.model('GuildConfig', guildConfigSchema);
+
+module.exports = GuildConfig;
@@ -1,11 +1,25 @@
 const mongoose = require('mongoose');
 
 const itemSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
   name: String,
   price: Number,
   stock: Number,
   maxStock: Number,
   unique: Boolean,
+  discount: { type: Number, default: 0 }, // Собственная скидка товара в процентах
+  perUserLimit: { type: Number, default: null }, // Сколько штук один пользователь может купить всего
+  perDayLimit: { type: Number, default: null }, // Сколько штук один пользователь может купить за сутки
+  effect: {
+    kind: { type: String, enum: ['boost', 'lootbox', 'role', 'generator'], default: null },
+    percentage: Number, // boost
+    durationMinutes: Number, // boost
+    rarity: { type: String, enum: ['regular', 'epic', 'legendary'] }, // lootbox
+    roleId: String, // role
+    ratePerHour: Number, // generator
+    storageCap: Number, // generator
+  },
+  hidden: { type: Boolean, default: false },
 });
 
 const Item = mongoose.model('Item', itemSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const HISTORY_RETENTION_DAYS = 365;
+
+// Места участника во всех таблицах лидеров на момент снимка; снимки копятся для истории и стрелок ▲/▼
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  serverId: { type: String, required: true },
+  ranks: { type: Map, of: Number, default: {} }, // Поле CommandStats -> место в таблице
+  takenAt: { type: Date, required: true },
+});
+
+leaderboardSnapshotSchema.index({ serverId: 1, takenAt: 1, userId: 1 });
+leaderboardSnapshotSchema.index({ serverId: 1, userId: 1, takenAt: 1 });
+leaderboardSnapshotSchema.index({ takenAt: 1 }, { expireAfterSeconds: HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+const LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
+
+module.exports = LeaderboardSnapshot;
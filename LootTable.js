@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const lootTableSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  rarity: { type: String, required: true, enum: ['regular', 'epic', 'legendary'] },
+  entries: [{
+    kind: { type: String, required: true, enum: ['stars', 'item', 'boost', 'role'] },
+    weight: { type: Number, required: true, min: 0 },
+    label: { type: String, required: true },
+    amount: Number, // stars
+    itemId: String, // item
+    percentage: Number, // boost
+    durationMinutes: Number, // boost
+    roleId: String, // role
+  }],
+});
+
+lootTableSchema.index({ guildId: 1, rarity: 1 }, { unique: true });
+
+const LootTable = mongoose.model('LootTable', lootTableSchema);
+
+module.exports = LootTable;
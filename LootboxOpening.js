@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const lootboxOpeningSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  serverId: { type: String, required: true },
+  rarity: { type: String, required: true },
+  seedId: { type: mongoose.Schema.Types.ObjectId, ref: 'LootboxSeed', required: true },
+  nonce: { type: Number, required: true },
+  roll: { type: Number, required: true },
+  // Копия таблицы на момент открытия, чтобы бросок можно было пересчитать после её изменения
+  entries: { type: Array, required: true },
+  entryIndex: { type: Number, required: true },
+  reward: { type: mongoose.Schema.Types.Mixed, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+lootboxOpeningSchema.index({ userId: 1, serverId: 1, createdAt: -1 });
+
+const LootboxOpening = mongoose.model('LootboxOpening', lootboxOpeningSchema);
+
+module.exports = LootboxOpening;
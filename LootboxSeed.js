@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Серверный сид пользователя: до смены виден только хеш, после смены сид раскрывается для проверки
+const lootboxSeedSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  serverId: { type: String, required: true },
+  serverSeed: { type: String, required: true },
+  serverSeedHash: { type: String, required: true },
+  nonce: { type: Number, default: 0 }, // Следующий неиспользованный nonce
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  revealedAt: { type: Date, default: null },
+});
+
+lootboxSeedSchema.index({ userId: 1, serverId: 1, active: 1 });
+// Не больше одного активного сида на пользователя: параллельные открытия и смены сида не заведут второй
+lootboxSeedSchema.index({ userId: 1, serverId: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+const LootboxSeed = mongoose.model('LootboxSeed', lootboxSeedSchema);
+
+module.exports = LootboxSeed;
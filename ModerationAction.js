@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const moderationActionSchema = new mongoose.Schema({
+  serverId: { type: String, required: true },
+  actorId: { type: String, required: true }, // Модератор
+  actorName: { type: String, default: null },
+  targetId: { type: String, required: true }, // Наказанный участник
+  targetName: { type: String, default: null },
+  action: { type: String, required: true, enum: ['mute', 'unmute', 'kick', 'ban', 'unban'] },
+  reason: { type: String, default: null },
+  durationSeconds: { type: Number, default: null }, // Для мьютов и временных банов
+  auditLogEntryId: { type: String, default: undefined }, // Запись журнала аудита Discord, из которой взято действие
+  createdAt: { type: Date, default: Date.now },
+});
+
+moderationActionSchema.index({ serverId: 1, createdAt: -1 });
+moderationActionSchema.index({ serverId: 1, actorId: 1, createdAt: -1 });
+moderationActionSchema.index({ serverId: 1, targetId: 1, createdAt: -1 });
+// Одна запись журнала аудита - одно действие, даже если событие пришло дважды (перезапуск, второй экземпляр API)
+moderationActionSchema.index({ auditLogEntryId: 1 }, { unique: true, partialFilterExpression: { auditLogEntryId: { $type: 'string' } } });
+
+const ModerationAction = mongoose.model('ModerationAction', moderationActionSchema);
+
+module.exports = ModerationAction;
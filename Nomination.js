@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const nomineeSchema = new mongoose.Schema({
+  userId: String,
+  username: String,
+  value: Number,
+}, { _id: false });
+
+const nominationSchema = new mongoose.Schema({
+  serverId: { type: String, required: true },
+  period: { type: String, required: true, enum: ['daily', 'weekly', 'monthly'] },
+  category: { type: String, required: true, enum: ['messages', 'mutes'] },
+  periodStart: { type: String, required: true }, // 'YYYY-MM-DD', первый день периода
+  periodEnd: { type: String, required: true }, // 'YYYY-MM-DD', последний день периода включительно
+  winner: nomineeSchema,
+  runnerUps: [nomineeSchema],
+  createdAt: { type: Date, default: Date.now },
+});
+
+nominationSchema.index({ serverId: 1, period: 1, category: 1, periodStart: 1 }, { unique: true });
+nominationSchema.index({ serverId: 1, periodStart: -1 });
+nominationSchema.index({ serverId: 1, 'winner.userId': 1 });
+
+const Nomination = mongoose.model('Nomination', nominationSchema);
+
+module.exports = Nomination;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  code: { type: String, required: true, uppercase: true, trim: true },
+  percentage: { type: Number, required: true, min: 0, max: 100 },
+  itemIds: { type: [String], default: [] }, // Пустой список - промокод на весь магазин
+  stackable: { type: Boolean, default: true },
+  maxUses: { type: Number, default: null }, // null - без общего лимита
+  maxUsesPerUser: { type: Number, default: 1 },
+  usesCount: { type: Number, default: 0 },
+  usedBy: { type: [String], default: [] }, // userId на каждое использование
+  startsAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  enabled: { type: Boolean, default: true },
+});
+
+promoCodeSchema.index({ guildId: 1, code: 1 }, { unique: true });
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+module.exports = PromoCode;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const questTemplateSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  period: { type: String, required: true, enum: ['daily', 'weekly'] },
+  description: { type: String, required: true },
+  icon: { type: String, default: '📜' },
+  field: { type: String, required: true }, // Накопительное поле CommandStats, прирост которого за период считается прогрессом
+  target: { type: Number, required: true, min: 1 },
+  reward: {
+    stars: { type: Number, default: 0 },
+  },
+  order: { type: Number, default: 0 },
+  enabled: { type: Boolean, default: true },
+});
+
+const QuestTemplate = mongoose.model('QuestTemplate', questTemplateSchema);
+
+module.exports = QuestTemplate;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const saleSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  name: { type: String, required: true },
+  percentage: { type: Number, required: true, min: 0, max: 100 },
+  itemIds: { type: [String], default: [] }, // Пустой список - распродажа на весь магазин
+  stackable: { type: Boolean, default: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  enabled: { type: Boolean, default: true },
+});
+
+saleSchema.index({ guildId: 1, startsAt: 1, endsAt: 1 });
+
+const Sale = mongoose.model('Sale', saleSchema);
+
+module.exports = Sale;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const seasonRewardSchema = new mongoose.Schema({
+  metric: { type: String, required: true, enum: ['messages', 'voice', 'stars'] },
+  fromRank: { type: Number, required: true, min: 1 },
+  toRank: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator(value) {
+        return value >= this.fromRank;
+      },
+      message: 'toRank не может быть меньше fromRank',
+    },
+  },
+  stars: { type: Number, default: 0, min: 0 },
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', default: null },
+  quantity: { type: Number, default: 1, min: 1 },
+}, { _id: false });
+
+const standingSchema = new mongoose.Schema({
+  rank: Number,
+  userId: String,
+  username: String,
+  value: Number,
+  reward: {
+    stars: Number,
+    itemId: String,
+    itemName: String,
+    quantity: Number,
+  },
+}, { _id: false });
+
+const seasonSchema = new mongoose.Schema({
+  serverId: { type: String, required: true },
+  number: { type: Number, required: true }, // Порядковый номер сезона на сервере
+  name: { type: String, required: true },
+  cadence: { type: String, required: true, enum: ['monthly', 'quarterly'] },
+  startDate: { type: String, required: true }, // 'YYYY-MM-DD', первый день сезона
+  endDate: { type: String, required: true }, // 'YYYY-MM-DD', последний день сезона включительно
+  status: { type: String, enum: ['active', 'archived'], default: 'active' },
+  // Награды копируются из настроек сервера при создании сезона и не меняются до его конца
+  rewards: [seasonRewardSchema],
+  // Итоговые таблицы по метрикам, заполняются при архивации
+  standings: {
+    messages: [standingSchema],
+    voice: [standingSchema],
+    stars: [standingSchema],
+  },
+  countersUpdatedAt: { type: Date, default: null },
+  foldedThrough: { type: String, default: null }, // 'YYYY-MM-DD', дни до него уже сложены в счётчики участников
+  archivedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+seasonSchema.index({ serverId: 1, startDate: 1 }, { unique: true });
+seasonSchema.index({ status: 1, endDate: 1 });
+
+const Season = mongoose.model('Season', seasonSchema);
+
+module.exports = Season;
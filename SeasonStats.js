@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Счётчики участника за один сезон; пополняются из дневных корзин, журнала звёзд и роста баланса, all-time счётчики не трогаются
+const seasonStatsSchema = new mongoose.Schema({
+  seasonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: true },
+  serverId: { type: String, required: true },
+  userId: { type: String, required: true },
+  username: { type: String, default: null },
+  messages: { type: Number, default: 0 },
+  voiceSeconds: { type: Number, default: 0 },
+  starsEarned: { type: Number, default: 0 },
+  // Сообщения и голос за дни до foldedThrough: эти дни уже не меняются и повторно не суммируются
+  closedMessages: { type: Number, default: 0 },
+  closedVoiceSeconds: { type: Number, default: 0 },
+  foldedThrough: { type: String, default: null },
+  lastStars: { type: Number, default: null }, // Баланс при прошлом пересчёте, по нему видны звёзды, выданные мимо журнала
+  // Копия настроек приватности на момент пересчёта: скрывшие себя не попадают в таблицы сезона
+  listed: { type: Boolean, default: true },
+  balanceListed: { type: Boolean, default: true },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+seasonStatsSchema.index({ seasonId: 1, userId: 1 }, { unique: true });
+seasonStatsSchema.index({ seasonId: 1, messages: -1, _id: 1 });
+seasonStatsSchema.index({ seasonId: 1, voiceSeconds: -1, _id: 1 });
+seasonStatsSchema.index({ seasonId: 1, starsEarned: -1, _id: 1 });
+seasonStatsSchema.index({ userId: 1 });
+
+const SeasonStats = mongoose.model('SeasonStats', seasonStatsSchema);
+
+module.exports = SeasonStats;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const shopAuditLogSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  actorId: { type: String, required: true },
+  actorName: { type: String, default: null },
+  action: { type: String, required: true, enum: ['create', 'update', 'hide', 'show', 'delete', 'restock'] },
+  itemId: { type: String, required: true },
+  itemName: { type: String, default: null },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+shopAuditLogSchema.index({ guildId: 1, createdAt: -1 });
+
+const ShopAuditLog = mongoose.model('ShopAuditLog', shopAuditLogSchema);
+
+module.exports = ShopAuditLog;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const starTransactionSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  serverId: { type: String, required: true },
+  type: {
+    type: String,
+    required: true,
+    enum: ['purchase', 'refund', 'boost', 'lootbox', 'achievement', 'admin_grant', 'generator', 'season_reward', 'quest'],
+  },
+  amount: { type: Number, required: true },
+  balanceBefore: { type: Number, required: true },
+  balanceAfter: { type: Number, required: true },
+  item: {
+    itemId: String,
+    itemName: String,
+    quantity: Number,
+    unitPrice: Number,
+  },
+  actorId: { type: String, default: null }, // Кто инициировал операцию, если не сам пользователь
+  note: { type: String, default: null },
+  refundOf: { type: mongoose.Schema.Types.ObjectId, ref: 'StarTransaction', default: null },
+  refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'StarTransaction', default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+starTransactionSchema.index({ userId: 1, serverId: 1, createdAt: -1 });
+starTransactionSchema.index({ userId: 1, serverId: 1, 'item.itemId': 1, type: 1 });
+starTransactionSchema.index({ serverId: 1, createdAt: 1 });
+
+const StarTransaction = mongoose.model('StarTransaction', starTransactionSchema);
+
+module.exports = StarTransaction;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const QUEST_RETENTION_DAYS = 60;
+
+// Задание из ротации участника. Условия копируются из шаблона, чтобы правка шаблона не меняла уже выданные задания
+const userQuestSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  serverId: { type: String, required: true },
+  templateKey: { type: String, required: true },
+  period: { type: String, required: true, enum: ['daily', 'weekly'] },
+  periodStart: { type: String, required: true }, // 'YYYY-MM-DD', первый день периода
+  periodEnd: { type: String, required: true }, // 'YYYY-MM-DD', последний день периода включительно
+  description: { type: String, required: true },
+  icon: { type: String, default: '📜' },
+  field: { type: String, required: true },
+  target: { type: Number, required: true },
+  baseline: { type: Number, default: 0 }, // Значение field на начало периода
+  reward: {
+    stars: { type: Number, default: 0 },
+  },
+  claimedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+userQuestSchema.index({ userId: 1, serverId: 1, period: 1, periodStart: 1, templateKey: 1 }, { unique: true });
+userQuestSchema.index({ createdAt: 1 }, { expireAfterSeconds: QUEST_RETENTION_DAYS * 24 * 60 * 60 });
+
+const UserQuest = mongoose.model('UserQuest', userQuestSchema);
+
+module.exports = UserQuest;
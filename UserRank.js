@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Снимок мест участника по всем таблицам лидеров; пересчитывается целиком по расписанию
+const userRankSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  serverId: { type: String, required: true },
+  ranks: { type: Map, of: Number, default: {} }, // Поле CommandStats -> место
+  computedAt: { type: Date, default: Date.now },
+});
+
+userRankSchema.index({ serverId: 1, userId: 1 }, { unique: true });
+
+const UserRank = mongoose.model('UserRank', userRankSchema);
+
+module.exports = UserRank;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const voiceSessionSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  serverId: { type: String, required: true },
+  channelId: { type: String, required: true },
+  channelName: { type: String, default: null },
+  startedAt: { type: Date, required: true },
+  endedAt: { type: Date, required: true },
+  durationSeconds: { type: Number, required: true },
+});
+
+voiceSessionSchema.index({ userId: 1, serverId: 1, startedAt: -1 });
+voiceSessionSchema.index({ userId: 1, serverId: 1, durationSeconds: -1 });
+
+const VoiceSession = mongoose.model('VoiceSession', voiceSessionSchema);
+
+module.exports = VoiceSession;
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const CommandStats = require('./CommandStats');
+const Achievement = require('./Achievement');
+const { applyStarChange } = require('./ledger');
+const { getLongestSessionSeconds } = require('./voiceSessions');
+
+const DEFINITIONS_TTL = 60 * 1000;
+let definitionsCache = { data: null, timestamp: 0 };
+
+async function getAchievementDefinitions() {
+  if (definitionsCache.data && Date.now() - definitionsCache.timestamp < DEFINITIONS_TTL) {
+    return definitionsCache.data;
+  }
+  const data = await Achievement.find({ enabled: true }).sort({ order: 1 }).select('-__v').lean();
+  definitionsCache = { data, timestamp: Date.now() };
+  return data;
+}
+
+function getFieldValue(userStats, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), userStats) || 0;
+}
+
+async function computeProgress(userStats, rule) {
+  if (rule.kind === 'counter') {
+    const progress = getFieldValue(userStats, rule.field);
+    return { progress, met: progress >= rule.target };
+  }
+
+  if (rule.kind === 'rank') {
+    const value = getFieldValue(userStats, rule.field);
+    const rank = await CommandStats.countDocuments({ serverId: userStats.serverId, [rule.field]: { $gt: value } }) + 1;
+    return { progress: rank, met: value > 0 && rank <= rule.target };
+  }
+
+  if (rule.kind === 'session') {
+    const progress = await getLongestSessionSeconds(userStats.userId, userStats.serverId);
+    return { progress, met: progress >= rule.target };
+  }
+
+  // event: выдаётся ботом напрямую, здесь только читаем сохранённое состояние
+  return { progress: 0, met: false };
+}
+
+// Открытие и награда пишутся одной транзакцией: условный $push не даёт открыть достижение дважды,
+// а звёзды не начисляются без открытия и наоборот
+async function unlockAchievement(userStats, achievement, now = new Date()) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const result = await CommandStats.updateOne(
+      { _id: userStats._id, 'achievements.name': { $ne: achievement.name } },
+      { $push: { achievements: { name: achievement.name, completed: true, unlockedAt: now } } },
+      { session }
+    );
+    if (result.modifiedCount === 0) {
+      await session.abortTransaction();
+      return null; // Уже открыто параллельной проверкой
+    }
+
+    if (achievement.reward && achievement.reward.stars > 0) {
+      await applyStarChange({
+        userId: userStats.userId,
+        serverId: userStats.serverId,
+        amount: achievement.reward.stars,
+        type: 'achievement',
+        note: achievement.name,
+        session,
+      });
+    }
+
+    await session.commitTransaction();
+    return now;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+function findStoredEntry(userStats, achievement) {
+  return (userStats.achievements || []).find(a => a.name === achievement.name && a.completed);
+}
+
+// Прогресс по всем достижениям для показа; ничего не открывает, открытые берутся из CommandStats.achievements
+async function getAchievementProgress(userStats) {
+  const definitions = await getAchievementDefinitions();
+
+  return Promise.all(definitions.map(async achievement => {
+    const storedEntry = findStoredEntry(userStats, achievement);
+    const { progress } = await computeProgress(userStats, achievement.rule);
+
+    return {
+      name: achievement.name,
+      description: achievement.description,
+      icon: achievement.icon,
+      kind: achievement.rule.kind,
+      target: achievement.rule.target,
+      reward: achievement.reward,
+      progress,
+      completed: Boolean(storedEntry),
+      unlockedAt: storedEntry ? storedEntry.unlockedAt || null : null,
+    };
+  }));
+}
+
+// Открывает выполненные, но ещё не открытые достижения участника. Возвращает число новых открытий
+async function awardAchievements(userStats, now = new Date()) {
+  const definitions = await getAchievementDefinitions();
+
+  let unlocked = 0;
+  for (const achievement of definitions) {
+    if (findStoredEntry(userStats, achievement)) {
+      continue;
+    }
+    const { met } = await computeProgress(userStats, achievement.rule);
+    if (met && await unlockAchievement(userStats, achievement, now)) {
+      unlocked++;
+    }
+  }
+  return unlocked;
+}
+
+// Проверка после события, которое могло изменить счётчики участника
+async function checkAchievements(userId, serverId) {
+  const userStats = await CommandStats.findOne({ userId, serverId }).lean();
+  return userStats ? awardAchievements(userStats) : 0;
+}
+
+// Плановая проверка всех участников: счётчики сообщений и голоса ведёт бот, событий от него API не получает
+async function awardAllAchievements(now = new Date()) {
+  const definitions = await getAchievementDefinitions();
+  if (definitions.length === 0) {
+    return 0;
+  }
+
+  let unlocked = 0;
+  const names = definitions.map(achievement => achievement.name);
+  // Пропускаем тех, у кого уже открыто всё
+  const cursor = CommandStats.find({ achievements: { $not: { $all: names.map(name => ({ $elemMatch: { name, completed: true } })) } } }).lean().cursor();
+  for await (const userStats of cursor) {
+    unlocked += await awardAchievements(userStats, now);
+  }
+  return unlocked;
+}
+
+module.exports = { getFieldValue, getAchievementDefinitions, getAchievementProgress, awardAchievements, checkAchievements, awardAllAchievements };
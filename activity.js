@@ -0,0 +1,78 @@
+const { toDateKey } = require('./rollup');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HEATMAP_WEEKS = 53;
+
+function addDays(dateKey, days) {
+  return toDateKey(new Date(new Date(dateKey).getTime() + days * DAY_MS));
+}
+
+function getCount(countsByDate, dateKey) {
+  return countsByDate.get(dateKey) || 0;
+}
+
+// Длиннейшая серия дней подряд с ненулевой активностью
+function longestStreak(activeDates) {
+  let longest = 0;
+  let current = 0;
+  let previous = null;
+
+  for (const date of activeDates) {
+    current = previous && addDays(previous, 1) === date ? current + 1 : 1;
+    longest = Math.max(longest, current);
+    previous = date;
+  }
+  return longest;
+}
+
+// Текущая серия не прерывается, если сегодня ещё не было сообщений
+function currentStreak(countsByDate, today) {
+  let date = getCount(countsByDate, today) > 0 ? today : addDays(today, -1);
+  let streak = 0;
+  while (getCount(countsByDate, date) > 0) {
+    streak++;
+    date = addDays(date, -1);
+  }
+  return streak;
+}
+
+// Сводка по messagesByDate: серии, самый активный день недели, рекордный день
+// и плотный массив счётчиков за последний год для тепловой карты (первый день - понедельник)
+function summarizeActivity(messagesByDate, now = new Date()) {
+  const entries = messagesByDate instanceof Map ? [...messagesByDate] : Object.entries(messagesByDate || {});
+  const countsByDate = new Map(entries.filter(([, count]) => count > 0));
+  const activeDates = [...countsByDate.keys()].sort();
+  const today = toDateKey(now);
+
+  const weekdayTotals = [0, 0, 0, 0, 0, 0, 0]; // 0 - понедельник
+  let busiestDay = null;
+  for (const [date, count] of countsByDate) {
+    weekdayTotals[(new Date(date).getUTCDay() + 6) % 7] += count;
+    if (!busiestDay || count > busiestDay.count) {
+      busiestDay = { date, count };
+    }
+  }
+  const mostActiveWeekday = busiestDay ? weekdayTotals.indexOf(Math.max(...weekdayTotals)) : null;
+
+  const todayWeekday = (now.getUTCDay() + 6) % 7;
+  const from = addDays(today, -((HEATMAP_WEEKS - 1) * 7 + todayWeekday));
+  const counts = [];
+  for (let date = from; date <= today; date = addDays(date, 1)) {
+    counts.push(getCount(countsByDate, date));
+  }
+
+  return {
+    from,
+    to: today,
+    counts,
+    total: entries.reduce((total, [, count]) => total + (count || 0), 0),
+    activeDays: activeDates.length,
+    currentStreak: currentStreak(countsByDate, today),
+    longestStreak: longestStreak(activeDates),
+    mostActiveWeekday,
+    weekdayTotals,
+    busiestDay,
+  };
+}
+
+module.exports = { summarizeActivity };
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const CommandStats = require('./CommandStats');
+const UserRank = require('./UserRank');
+const { RANKED_FIELDS, refreshRankSnapshot, computeRanksLive, getUserRanks } = require('./ranks');
+const { getLeaderboardPage } = require('./leaderboards');
+
+const SERVER_ID = 'benchmark';
+const BATCH_SIZE = 5000;
+const SAMPLES = 200;
+
+function randomCount(max) {
+  // Степенное распределение: большинство участников почти неактивны, как на реальном сервере
+  return Math.floor(Math.pow(Math.random(), 3) * max);
+}
+
+async function seed(userCount) {
+  await CommandStats.deleteMany({ serverId: SERVER_ID });
+  for (let start = 0; start < userCount; start += BATCH_SIZE) {
+    const batch = [];
+    for (let i = start; i < Math.min(start + BATCH_SIZE, userCount); i++) {
+      const doc = { userId: `bench-${i}`, serverId: SERVER_ID, username: `user${i}`, uuid: uuidv4() };
+      for (const field of RANKED_FIELDS) {
+        doc[field] = randomCount(10000);
+      }
+      batch.push(doc);
+    }
+    await CommandStats.collection.insertMany(batch, { ordered: false });
+  }
+  await CommandStats.createIndexes();
+  await UserRank.createIndexes();
+}
+
+async function measure(label, samples, fn) {
+  const timings = [];
+  for (let i = 0; i < samples; i++) {
+    const start = process.hrtime.bigint();
+    await fn(i);
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  timings.sort((a, b) => a - b);
+  const percentile = p => timings[Math.min(timings.length - 1, Math.floor(timings.length * p))].toFixed(1);
+  console.log(`${label.padEnd(36)} p50 ${percentile(0.5).padStart(8)} мс   p95 ${percentile(0.95).padStart(8)} мс   (n=${samples})`);
+}
+
+async function randomUser(userCount) {
+  return CommandStats.findOne({ serverId: SERVER_ID, userId: `bench-${Math.floor(Math.random() * userCount)}` }).lean();
+}
+
+async function run(userCount, keep) {
+  console.log(`Заполнение ${userCount} пользователей...`);
+  await seed(userCount);
+
+  await measure('4 × countDocuments (старый профиль)', SAMPLES, async () => {
+    const user = await randomUser(userCount);
+    await Promise.all(['totalMessages', 'messagesToday', 'messagesLast7Days', 'messagesLast30Days'].map(field =>
+      CommandStats.countDocuments({ serverId: SERVER_ID, [field]: { $gt: user[field] } })
+    ));
+  });
+  await measure('$facet по всем полям (без снимка)', Math.min(SAMPLES, 20), async () => {
+    await computeRanksLive(await randomUser(userCount));
+  });
+  await measure('Пересчёт снимка мест', 3, () => refreshRankSnapshot());
+  await measure('Места из снимка (профиль)', SAMPLES, async () => {
+    await getUserRanks(await randomUser(userCount));
+  });
+  await measure('Страница таблицы лидеров (50)', SAMPLES, i =>
+    getLeaderboardPage({ serverId: SERVER_ID, metric: 'messages', period: 'all', offset: (i % 100) * 50, limit: 50 })
+  );
+
+  if (!keep) {
+    await CommandStats.deleteMany({ serverId: SERVER_ID });
+    await UserRank.deleteMany({ serverId: SERVER_ID });
+  }
+}
+
+// Хост и база из строки подключения, чтобы разные записи одной и той же базы не прошли проверку
+function databaseKey(uri) {
+  try {
+    const url = new URL(uri);
+    return `${url.host}/${url.pathname.slice(1) || 'test'}`;
+  } catch (error) {
+    return uri;
+  }
+}
+
+if (require.main === module) {
+  // BENCHMARK_MONGODB_URI=... node benchmarkRanks.js [количество пользователей] [--keep]
+  // Бенчмарк заполняет CommandStats и пересчитывает снимок мест, поэтому запускается только на отдельной базе
+  require('dotenv').config();
+  const uri = process.env.BENCHMARK_MONGODB_URI;
+  if (!uri || (process.env.MONGODB_URI && databaseKey(uri) === databaseKey(process.env.MONGODB_URI))) {
+    console.error('Укажите BENCHMARK_MONGODB_URI - отдельную базу, не совпадающую с MONGODB_URI');
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const keep = args.includes('--keep');
+  const userCount = Number(args.find(arg => arg !== '--keep') || 100000);
+
+  if (!Number.isInteger(userCount) || userCount <= 0) {
+    console.error('Использование: node benchmarkRanks.js [количество пользователей] [--keep]');
+    process.exit(1);
+  }
+
+  mongoose.connect(uri)
+    .then(() => run(userCount, keep))
+    .catch(err => console.error('Ошибка бенчмарка мест:', err))
+    .finally(() => mongoose.disconnect());
+}
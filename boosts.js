@@ -0,0 +1,96 @@
+const CommandStats = require('./CommandStats');
+const BoostHistory = require('./BoostHistory');
+const { getGuildConfig } = require('./guilds');
+
+const DEFAULT_BOOST_RULES = { stacking: 'extend', maxPercentage: 100, maxDurationMinutes: 7 * 24 * 60 };
+
+function isActive(boost, now) {
+  return Boolean(boost && boost.expiresAt && boost.percentage && new Date(boost.expiresAt) > now);
+}
+
+function getRemainingMs(boost, now = new Date()) {
+  return isActive(boost, now) ? new Date(boost.expiresAt).getTime() - now.getTime() : 0;
+}
+
+// Считает новый буст по правилам сервера; current - текущий активный буст или null
+function combineBoost(current, percentage, durationMs, rules, now) {
+  const maxEnd = now.getTime() + rules.maxDurationMinutes * 60 * 1000;
+  const cap = boost => ({
+    ...boost,
+    percentage: Math.min(boost.percentage, rules.maxPercentage),
+    expiresAt: new Date(Math.min(boost.expiresAt.getTime(), maxEnd)),
+  });
+
+  if (!current) {
+    return { event: 'activated', boost: cap({ percentage, expiresAt: new Date(now.getTime() + durationMs), startedAt: now }) };
+  }
+
+  const currentEnd = new Date(current.expiresAt).getTime();
+  if (rules.stacking === 'replace') {
+    return { event: 'replaced', boost: cap({ percentage, expiresAt: new Date(now.getTime() + durationMs), startedAt: now }) };
+  }
+  if (rules.stacking === 'stack') {
+    return {
+      event: 'stacked',
+      boost: cap({ percentage: current.percentage + percentage, expiresAt: new Date(Math.max(currentEnd, now.getTime() + durationMs)), startedAt: current.startedAt || now }),
+    };
+  }
+  return {
+    event: 'extended',
+    boost: cap({ percentage: Math.max(current.percentage, percentage), expiresAt: new Date(currentEnd + durationMs), startedAt: current.startedAt || now }),
+  };
+}
+
+async function applyBoost({ userId, serverId, percentage, durationMinutes, source = null, session = null, now = new Date() }) {
+  const guildConfig = await getGuildConfig(serverId);
+  const rules = { ...DEFAULT_BOOST_RULES, ...(guildConfig && guildConfig.boosts) };
+
+  const user = await CommandStats.findOne({ userId, serverId }).select('activeStarBoost').session(session).lean();
+  if (!user) {
+    throw new Error(`User ${userId} not found on ${serverId}`);
+  }
+
+  const current = isActive(user.activeStarBoost, now) ? user.activeStarBoost : null;
+  const { event, boost } = combineBoost(current, percentage, durationMinutes * 60 * 1000, rules, now);
+
+  await CommandStats.updateOne({ _id: user._id }, { $set: { activeStarBoost: boost } }, { session });
+  await BoostHistory.create([{
+    userId,
+    serverId,
+    event,
+    percentage: boost.percentage,
+    expiresAt: boost.expiresAt,
+    previous: current ? { percentage: current.percentage, expiresAt: current.expiresAt } : undefined,
+    source,
+  }], { session });
+
+  return { event, ...boost, remainingMs: getRemainingMs(boost, now) };
+}
+
+// Фоновая очистка: снимает истёкшие бусты и пишет об этом в историю
+async function expireBoosts(now = new Date()) {
+  const expired = await CommandStats.find({ 'activeStarBoost.expiresAt': { $lte: now } })
+    .select('userId serverId activeStarBoost')
+    .lean();
+
+  let count = 0;
+  for (const user of expired) {
+    const result = await CommandStats.updateOne(
+      { _id: user._id, 'activeStarBoost.expiresAt': user.activeStarBoost.expiresAt },
+      { $unset: { activeStarBoost: '' } }
+    );
+    if (result.modifiedCount === 0) {
+      continue; // Буст успели продлить между выборкой и обновлением
+    }
+    await BoostHistory.create({
+      userId: user.userId,
+      serverId: user.serverId,
+      event: 'expired',
+      previous: { percentage: user.activeStarBoost.percentage, expiresAt: user.activeStarBoost.expiresAt },
+    });
+    count++;
+  }
+  return count;
+}
+
+module.exports = { isActive, getRemainingMs, combineBoost, applyBoost, expireBoosts };
@@ -0,0 +1,132 @@
+const { fetch } = require('undici');
+const NodeCache = require('node-cache');
+
+const CARD_LAYOUTS = ['default', 'compact', 'ranks'];
+const FONT = "'Segoe UI', Ubuntu, 'Helvetica Neue', sans-serif";
+const DEFAULT_THEME = { primaryColor: '#00FFFF', accentColor: '#6E40C9', backgroundColor: '#0D1117' };
+
+const avatarCache = new NodeCache({ stdTTL: 3600 });
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatNumber(value) {
+  return Math.round(value || 0).toLocaleString('ru-RU');
+}
+
+// Место null - участник скрыт из таблиц лидеров настройками приватности
+function formatRank(rank) {
+  return rank ? `#${rank}` : 'скрыто';
+}
+
+function formatHours(seconds) {
+  return `${Math.floor((seconds || 0) / 3600)} ч`;
+}
+
+// Сайты, куда встраивают карточку, не загружают внешние картинки из SVG,
+// поэтому аватар вшивается в карточку как data URI
+async function fetchAvatarDataUri(avatarUrl) {
+  if (!avatarUrl) {
+    return null;
+  }
+  const cached = avatarCache.get(avatarUrl);
+  if (cached) {
+    return cached;
+  }
+  try {
+    const response = await fetch(`${avatarUrl}?size=128`);
+    if (!response.ok) {
+      return null;
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const dataUri = `data:${response.headers.get('content-type') || 'image/png'};base64,${buffer.toString('base64')}`;
+    avatarCache.set(avatarUrl, dataUri);
+    return dataUri;
+  } catch (error) {
+    console.error('Ошибка при загрузке аватара для карточки:', error);
+    return null;
+  }
+}
+
+function renderAvatar(avatar, x, y, size, theme) {
+  const radius = size / 2;
+  const clipId = `avatar-${x}-${y}`;
+  if (!avatar) {
+    return `<circle cx="${x + radius}" cy="${y + radius}" r="${radius}" fill="${theme.accentColor}"/>`;
+  }
+  return `<clipPath id="${clipId}"><circle cx="${x + radius}" cy="${y + radius}" r="${radius}"/></clipPath>`
+    + `<image href="${avatar}" x="${x}" y="${y}" width="${size}" height="${size}" clip-path="url(#${clipId})"/>`
+    + `<circle cx="${x + radius}" cy="${y + radius}" r="${radius}" fill="none" stroke="${theme.primaryColor}" stroke-width="2"/>`;
+}
+
+function renderStat(label, value, x, y, theme) {
+  return `<text x="${x}" y="${y}" font-size="12" fill="${theme.primaryColor}" opacity="0.8">${escapeXml(label)}</text>`
+    + `<text x="${x}" y="${y + 20}" font-size="16" font-weight="600" fill="#FFFFFF">${escapeXml(value)}</text>`;
+}
+
+function renderHeader(card, x, y, theme) {
+  let header = `<text x="${x}" y="${y}" font-size="20" font-weight="700" fill="#FFFFFF">${escapeXml(card.username)}</text>`;
+  if (card.position) {
+    header += `<text x="${x}" y="${y + 20}" font-size="13" fill="${theme.accentColor}">${escapeXml(card.position.name)}</text>`;
+  }
+  return header;
+}
+
+function wrap(width, height, theme, body) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`
+    + `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="12" fill="${theme.backgroundColor}" stroke="${theme.primaryColor}" stroke-opacity="0.4"/>`
+    + body
+    + '</svg>';
+}
+
+const layouts = {
+  default(card, theme) {
+    const stats = [['Сообщения', formatNumber(card.totalMessages)], ['Голос', formatHours(card.voiceTime)], ['Место', formatRank(card.userRankAllTime)]];
+    if (card.stars !== undefined) {
+      stats.unshift(['Звёзды', `${formatNumber(card.stars)} ⭐`]);
+    }
+    const body = renderAvatar(card.avatar, 20, 20, 80, theme)
+      + renderHeader(card, 120, 50, theme)
+      + stats.map(([label, value], index) => renderStat(label, value, 20 + index * 118, 140, theme)).join('');
+    return wrap(495, 195, theme, body);
+  },
+
+  compact(card, theme) {
+    const parts = [`💬 ${formatNumber(card.totalMessages)}`, `🎙 ${formatHours(card.voiceTime)}`];
+    if (card.stars !== undefined) {
+      parts.push(`⭐ ${formatNumber(card.stars)}`);
+    }
+    const body = renderAvatar(card.avatar, 15, 15, 60, theme)
+      + renderHeader(card, 90, 38, theme)
+      + `<text x="90" y="82" font-size="14" fill="#FFFFFF">${escapeXml(parts.join(' · '))}</text>`;
+    return wrap(350, 100, theme, body);
+  },
+
+  ranks(card, theme) {
+    const ranks = [
+      ['За всё время', card.userRankAllTime],
+      ['За 24 часа', card.userRankToday],
+      ['За 7 дней', card.userRankLast7Days],
+      ['За 30 дней', card.userRankLast30Days],
+    ];
+    const body = renderAvatar(card.avatar, 20, 20, 60, theme)
+      + renderHeader(card, 100, 45, theme)
+      + ranks.map(([label, rank], index) => renderStat(label, formatRank(rank), 20 + index * 118, 115, theme)).join('');
+    return wrap(495, 160, theme, body);
+  },
+};
+
+// profile - уже спроецированный по правам зрителя профиль; поля, которых в нём нет, на карточку не попадают
+function renderCard({ profile, layout = 'default', theme, position = null, avatar = null }) {
+  const card = { ...profile, avatar, position };
+  const render = layouts[layout] || layouts.default;
+  return render(card, { ...DEFAULT_THEME, ...theme });
+}
+
+module.exports = { CARD_LAYOUTS, escapeXml, fetchAvatarDataUri, renderCard };
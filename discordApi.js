@@ -0,0 +1,38 @@
+const { fetch } = require('undici');
+
+async function addMemberRole(guildId, userId, roleId, reason) {
+  const response = await fetch(`https://discord.com/api/guilds/${guildId}/members/${userId}/roles/${roleId}`, {
+    method: 'PUT',
+    headers: {
+      Authorization: `Bot ${process.env.TOKEN}`,
+      'X-Audit-Log-Reason': encodeURIComponent(reason || ''),
+    },
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to add role ${roleId} to ${userId}: ${response.status} ${response.statusText}`);
+  }
+}
+
+// Все участники сервера постранично; требует у бота интент GUILD_MEMBERS
+async function listGuildMembers(guildId) {
+  const members = [];
+  let after = '0';
+
+  for (;;) {
+    const response = await fetch(`https://discord.com/api/guilds/${guildId}/members?limit=1000&after=${after}`, {
+      headers: { Authorization: `Bot ${process.env.TOKEN}` },
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to list members of ${guildId}: ${response.status} ${response.statusText}`);
+    }
+
+    const page = await response.json();
+    members.push(...page);
+    if (page.length < 1000) {
+      return members;
+    }
+    after = page[page.length - 1].user.id;
+  }
+}
+
+module.exports = { addMemberRole, listGuildMembers };
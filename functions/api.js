@@ -10,6 +10,40 @@ const { fetch } = require('undici');
 const Item = require('../Item');
 const Inventory = require('../inventory');
 const Counter = require('../counter');
+const StarTransaction = require('../StarTransaction');
+const ShopAuditLog = require('../ShopAuditLog');
+const Sale = require('../Sale');
+const PromoCode = require('../PromoCode');
+const { normalizePromoCode, quoteItems, redeemPromoCode } = require('../pricing');
+const { getPurchaseCounts, checkPurchaseLimits, getRemainingQuantity } = require('../purchaseLimits');
+const { addInventoryItem, takeInventoryItem } = require('../inventoryItems');
+const { LOOTBOX_COUNTERS, isUsable, isAppliedOnPurchase, applyPurchaseEffect, applyItemEffect, grantEffectRole } = require('../itemEffects');
+const { describeGenerators, claimGenerators } = require('../generators');
+const ModerationAction = require('../ModerationAction');
+const { ACTION_METRICS, recordAuditLogEntry, getStaffCounters } = require('../moderation');
+const { syncRoleHistory, syncAllRoleHistory } = require('../roleTenure');
+const { handleVoiceStateUpdate, resumeVoiceSessions, getLongestSessionSeconds } = require('../voiceSessions');
+const { summarizeActivity } = require('../activity');
+const { buildExportArchive, deletePersonalData } = require('../personalData');
+const { getPrivacy, canView, projectProfile, validatePrivacy } = require('../privacy');
+const { CARD_LAYOUTS, fetchAvatarDataUri, renderCard } = require('../cards');
+const { LEGACY_SORT_METRICS, resolveLeaderboardField, leaderboardFilter, getPosition, getLeaderboardPage } = require('../leaderboards');
+const { FIELD_PRIVACY_SETTINGS, groupRanks, getUserRanks, refreshRankSnapshot } = require('../ranks');
+const { attachRankChanges, getRankHistory, takeSnapshotIfDue, forgetRankHistory } = require('../leaderboardHistory');
+const crypto = require('crypto');
+const Nomination = require('../Nomination');
+const { NOMINATION_PERIODS, NOMINATION_CATEGORIES, closeNominations } = require('../nominations');
+const Season = require('../Season');
+const { SEASON_METRICS, getSeasonStandings, tickSeasons } = require('../seasons');
+const LootTable = require('../LootTable');
+const LootboxOpening = require('../LootboxOpening');
+const { LootboxError, getActiveSeed, rotateSeed, openLootbox, verifyOpening } = require('../lootboxes');
+const { applyStarChange } = require('../ledger');
+const { getAchievementDefinitions, getAchievementProgress, checkAchievements, awardAllAchievements } = require('../achievements');
+const { QuestError, getUserQuests, claimQuest } = require('../quests');
+const { DEFAULT_GUILD_ID, getGuildConfig, getStaffRoleIds, getAdminRoleIds } = require('../guilds');
+const { recordActivity, rollupWindows } = require('../rollup');
+const { getRemainingMs, expireBoosts } = require('../boosts');
 const { Client, IntentsBitField } = require('discord.js');
 const NodeCache = require('node-cache');
 const rateLimit = require("express-rate-limit");
@@ -30,16 +64,30 @@ const client = new Client({
         IntentsBitField.Flags.GuildMembers,
         IntentsBitField.Flags.GuildMessages,
         IntentsBitField.Flags.MessageContent,
-        IntentsBitField.Flags.GuildMessageReactions
+        IntentsBitField.Flags.GuildMessageReactions,
+        IntentsBitField.Flags.GuildModeration,
+        IntentsBitField.Flags.GuildVoiceStates
     ],
 });
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+const FRONTEND_URL = 'http://127.0.0.1:5500/index.html';
 const LEADERBOARD_CACHE_TTL = 5 * 60;
-
+const ROLLUP_INTERVAL = 10 * 60 * 1000;
+const BOOST_SWEEP_INTERVAL = 60 * 1000;
+const ROLE_SYNC_INTERVAL = 30 * 60 * 1000;
+const DELETION_CONFIRMATION_TTL = 10 * 60 * 1000;
+const RANK_SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+const RANK_SNAPSHOT_SLOW_MS = 30 * 1000;
+const LEADERBOARD_HISTORY_CHECK_INTERVAL = 60 * 60 * 1000;
+const SEASON_INTERVAL = 10 * 60 * 1000;
+const NOMINATION_INTERVAL = 60 * 60 * 1000;
+const ACHIEVEMENT_INTERVAL = 30 * 60 * 1000;
+
+// Сессионная кука уходит с запросами фронтенда с другого сайта, поэтому origin должен совпадать с ним точно
 const corsOptions = {
-    origin: 'https://bandazeyna.com',
+    origin: [new URL(FRONTEND_URL).origin, 'https://bandazeyna.com'],
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     optionsSuccessStatus: 200,
@@ -47,6 +95,9 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
+// За прокси запрос приходит по http, без этого express-session не выставит secure-куку
+app.set('trust proxy', 1);
+
 app.use(limiter);
 
 app.use(express.json());
@@ -61,7 +112,10 @@ exports.handler = async function (event, context) {
         resave: false,
         saveUninitialized: false,
         cookie: {
-            secure: false, 
+            // Фронтенд на другом сайте: без sameSite 'none' браузер не отправит куку с fetch, а 'none' требует secure
+            sameSite: 'none',
+            secure: true,
+            httpOnly: true,
             maxAge: 24 * 60 * 60 * 1000,
         }
     }));
@@ -89,21 +143,23 @@ exports.handler = async function (event, context) {
         }
     });
     
-const allowedRoleIds = ['1043565185509630022', '1243243180800082001', '1075072592005824563', '1043614651444899991', '1043615386660257872'];
-const GUILD_ID = '1043562997966188645';
 const BOT_TOKEN = process.env.TOKEN
 
-let userGuildMemberCache = {};
+// Роли участника проверяются по этим данным, поэтому кэш короткий: снятая роль перестаёт давать доступ через минуту
+const userGuildMemberCache = new NodeCache({ stdTTL: 60 });
 
-async function fetchUserGuildMember(userId) {
-    console.log(`Попытка получить пользователя ${userId} из кэша`);
-    if (userGuildMemberCache[userId]) {
+// fresh: true - запрос в Discord в обход кэша, когда роли нужны точно (синхронизация истории ролей)
+async function fetchUserGuildMember(guildId, userId, { fresh = false } = {}) {
+    const memberKey = `${guildId}_${userId}`;
+    console.log(`Попытка получить пользователя ${userId} сервера ${guildId} из кэша`);
+    const cachedMember = fresh ? null : userGuildMemberCache.get(memberKey);
+    if (cachedMember) {
         console.log(`Пользователь ${userId} найден в кэше`);
-        return userGuildMemberCache[userId];
+        return cachedMember;
     }
     try {
         console.log(`Запрос данных пользователя ${userId} с Discord API`);
-        const response = await fetch(`https://discord.com/api/guilds/${GUILD_ID}/members/${userId}`, {
+        const response = await fetch(`https://discord.com/api/guilds/${guildId}/members/${userId}`, {
             headers: {
                 Authorization: `Bot ${BOT_TOKEN}`,
             },
@@ -117,7 +173,7 @@ async function fetchUserGuildMember(userId) {
 
         const data = await response.json();
         console.log(`Данные пользователя ${userId} успешно получены:`, data);
-        userGuildMemberCache[userId] = data;
+        userGuildMemberCache.set(memberKey, data);
         return data;
     } catch (error) {
         console.error(error);
@@ -135,16 +191,15 @@ async (accessToken, refreshToken, profile, done) => {
     console.log("Сработал обратный вызов Discord Strategy");
     try {
         console.log("Профиль с дискорда:", profile);
-        let user = await CommandStats.findOne({ userId: profile.id, serverId: GUILD_ID }).lean();
+        let user = await CommandStats.findOne({ userId: profile.id, serverId: DEFAULT_GUILD_ID }).lean();
 
         if (!user) {
             console.log("Новый пользователь, создание записи в БД");
             user = new CommandStats({
                 userId: profile.id,
-                serverId: GUILD_ID,
+                serverId: DEFAULT_GUILD_ID,
                 username: profile.username,
-                userAvatar: profile.avatar,
-                roleAcquisitionDates: {}
+                userAvatar: profile.avatar
             });
         } else {
             console.log("Существующий пользователь, обновление данных");
@@ -152,73 +207,186 @@ async (accessToken, refreshToken, profile, done) => {
             user.userAvatar = profile.avatar;
         }
 
-        const userGuildMember = await fetchUserGuildMember(profile.id);
+        const userGuildMember = await fetchUserGuildMember(DEFAULT_GUILD_ID, profile.id, { fresh: true });
         if (!userGuildMember) {
             console.error('Не удалось получить данные пользователя с сервера Discord');
             return done(new Error('Failed to fetch user guild member')); 
         }
 
-        const userRolesIds = userGuildMember.roles;
-        const roleAcquisitionDates = {};
-        const now = new Date();
-
-        for (const allowedRoleId of allowedRoleIds) {
-            if (userRolesIds.includes(allowedRoleId)) {
-                roleAcquisitionDates[allowedRoleId] = now;
-            }
-        }
-
-        user.roleAcquisitionDates = roleAcquisitionDates;
         console.log("Данные пользователя перед сохранением:", user);
-        await CommandStats.updateOne({ userId: profile.id, serverId: GUILD_ID }, user, { upsert: true });
+        await CommandStats.updateOne({ userId: profile.id, serverId: DEFAULT_GUILD_ID }, user, { upsert: true });
         console.log("Данные пользователя успешно сохранены/обновлены");
 
-        return done(null, user);
+        const guildConfig = await getGuildConfig(DEFAULT_GUILD_ID);
+        if (guildConfig) {
+            await syncRoleHistory({ userId: profile.id, serverId: DEFAULT_GUILD_ID, roleIds: userGuildMember.roles, guildConfig });
+        }
+
+        const savedUser = await CommandStats.findOne({ userId: profile.id, serverId: DEFAULT_GUILD_ID });
+        return done(null, savedUser);
     } catch (err) {
         console.error("Ошибка в Discord Strategy:", err);
         return done(err);
     }
 }));
 
-let leaderboardUpdateTimestamp = Date.now();
+function ensureAuthenticated(req, res, next) {
+    if (req.isAuthenticated() && req.user) {
+        return next();
+    }
+    res.status(401).json({ error: 'Требуется авторизация через Discord' });
+}
 
-app.get('/leaderboard', async (req, res) => {
+async function resolveGuild(req, res, next) {
     try {
-        const sortBy = req.query.sortBy || 'totalMessages';
-        const cacheKey = `leaderboard_${sortBy}`;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 50;
-        const skip = (page - 1) * limit;
+        const guildId = String(req.query.guild || (req.body && req.body.guild) || DEFAULT_GUILD_ID);
+        const guildConfig = await getGuildConfig(guildId);
+        if (!guildConfig) {
+            return res.status(404).json({ error: 'Сервер не найден' });
+        }
+        req.guildConfig = guildConfig;
+        next();
+    } catch (error) {
+        console.error('Ошибка при получении настроек сервера:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+}
 
-        const cachedData = cache.get(cacheKey);
-        if (cachedData && Date.now() - cachedData.timestamp < LEADERBOARD_CACHE_TTL * 1000) {
-            return res.json({
-                data: cachedData.data,
-                nextUpdateIn: Math.max(0, LEADERBOARD_CACHE_TTL * 1000 - (Date.now() - cachedData.timestamp))
-            });
+async function getMemberRoles(guildId, userId) {
+    const member = await fetchUserGuildMember(guildId, userId);
+    return member && member.roles ? member.roles : [];
+}
+
+function profileCacheKey(serverId, userId) {
+    return `profile_${serverId}_${userId}`;
+}
+
+// Проверяет достижения после действия участника, не задерживая ответ
+function checkAchievementsLater(serverId, userId) {
+    checkAchievements(userId, serverId)
+        .then(unlocked => {
+            if (unlocked > 0) {
+                cache.del(profileCacheKey(serverId, userId));
+            }
+        })
+        .catch(err => console.error('Ошибка проверки достижений:', err));
+}
+
+// Проверка ролей на сервере из req.guildConfig, поэтому ставится после resolveGuild
+function ensureRole(getRoleIds) {
+    return async (req, res, next) => {
+        try {
+            const roles = await getMemberRoles(req.guildConfig.guildId, req.user.userId);
+            const roleIds = getRoleIds(req.guildConfig);
+            if (!roleIds.some(roleId => roles.includes(roleId))) {
+                return res.status(403).json({ error: 'Недостаточно прав' });
+            }
+            req.memberRoles = roles;
+            next();
+        } catch (error) {
+            console.error('Ошибка при проверке ролей:', error);
+            res.status(500).json({ error: 'Ошибка сервера' });
         }
+    };
+}
 
-        let sortOption = {};
-        if (sortBy === 'voiceTime') {
-            sortOption = { voiceTime: -1 };
-        } else if (sortBy === 'stars') {
-            sortOption = { stars: -1 };
-        } else {
-            sortOption = { totalMessages: -1 };
+const purchaseErrorMessages = {
+    OUT_OF_STOCK: 'Недостаточно товара в наличии',
+    UNIQUE_OWNED: 'Этот товар можно купить только один раз',
+    USER_LIMIT: 'Превышен лимит покупок этого товара',
+    DAILY_LIMIT: 'Превышен дневной лимит покупок этого товара',
+    INSUFFICIENT_STARS: 'Недостаточно звезд',
+};
+
+function rejectPurchase(res, reason) {
+    return res.status(400).json({ error: purchaseErrorMessages[reason], reason });
+}
+
+// Личные данные (история, инвентарь) видят владелец и персонал его сервера
+async function isOwnerOrStaff(req, owner) {
+    if (owner.userId === req.user.userId) {
+        return true;
+    }
+    return isStaffOf(req, owner.serverId);
+}
+
+async function isStaffOf(req, serverId) {
+    const guildConfig = await getGuildConfig(serverId);
+    if (!guildConfig) {
+        return false;
+    }
+    const roles = await getMemberRoles(serverId, req.user.userId);
+    return getStaffRoleIds(guildConfig).some(roleId => roles.includes(roleId));
+}
+
+const ensureStaff = ensureRole(getStaffRoleIds);
+const ensureAdmin = ensureRole(getAdminRoleIds);
+
+let leaderboardUpdateTimestamp = Date.now();
+
+app.get('/guilds/:guildId/config', async (req, res) => {
+    try {
+        const guildConfig = await getGuildConfig(req.params.guildId);
+        if (!guildConfig) {
+            return res.status(404).json({ error: 'Сервер не найден' });
+        }
+        const { guildId, name, staffRoles, discountRoles, shop, theme } = guildConfig;
+        res.json({ guildId, name, staffRoles, discountRoles, shop, theme });
+    } catch (error) {
+        console.error('Ошибка:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/leaderboard', resolveGuild, async (req, res) => {
+    try {
+        const guildId = req.guildConfig.guildId;
+        const metric = req.query.metric || LEGACY_SORT_METRICS[req.query.sortBy] || 'messages';
+        const period = req.query.period || 'all';
+        if (!resolveLeaderboardField(metric, period)) {
+            return res.status(400).json({ error: 'Неизвестная метрика или период таблицы лидеров' });
         }
 
-        const topUsers = await CommandStats.find({})
-            .sort(sortOption)
-            .skip(skip)
-            .limit(limit)
-            .select('username totalMessages voiceTime stars')
-            .lean();
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+        let page = Math.max(1, parseInt(req.query.page) || 1);
+        let offset = (page - 1) * limit;
+        let callerId = null;
+
+        // ?around=<uuid>: окно таблицы, в середине которого стоит этот участник
+        if (req.query.around) {
+            const owner = await CommandStats.findOne({ uuid: String(req.query.around) }).select('userId').lean();
+            const caller = owner && await CommandStats.findOne({ ...leaderboardFilter(guildId, metric), userId: owner.userId }).lean();
+            if (!caller) {
+                return res.status(404).json({ error: 'Участник не найден в таблице лидеров' });
+            }
+            const position = await getPosition(leaderboardFilter(guildId, metric), resolveLeaderboardField(metric, period), caller);
+            offset = Math.max(0, position - Math.floor(limit / 2));
+            page = Math.floor(offset / limit) + 1;
+            callerId = caller.userId;
+        }
 
-        cache.set(cacheKey, { data: topUsers, timestamp: Date.now() }, LEADERBOARD_CACHE_TTL);
+        const cacheKey = `leaderboard_${guildId}_${metric}_${period}_${offset}_${limit}`;
+        let cachedData = cache.get(cacheKey);
+        if (!cachedData || Date.now() - cachedData.timestamp >= LEADERBOARD_CACHE_TTL * 1000) {
+            const leaderboard = await getLeaderboardPage({ serverId: guildId, metric, period, offset, limit });
+            const { since, rows } = await attachRankChanges({ serverId: guildId, field: leaderboard.field, rows: leaderboard.data });
+            cachedData = { ...leaderboard, data: rows, changeSince: since, timestamp: Date.now() };
+            cache.set(cacheKey, cachedData, LEADERBOARD_CACHE_TTL);
+        }
 
         res.json({
-            data: topUsers,
-            nextUpdateIn: LEADERBOARD_CACHE_TTL * 1000
+            metric,
+            period,
+            page,
+            limit,
+            offset,
+            total: cachedData.total,
+            totalPages: Math.ceil(cachedData.total / limit),
+            // Discord ID наружу не отдаётся, только отметка строки самого участника
+            data: cachedData.data.map(({ userId, ...row }) => (callerId && userId === callerId ? { ...row, isCaller: true } : row)),
+            // С какого снимка считаются стрелки change
+            changeSince: cachedData.changeSince,
+            nextUpdateIn: Math.max(0, LEADERBOARD_CACHE_TTL * 1000 - (Date.now() - cachedData.timestamp))
         });
     } catch (error) {
         console.error('Ошибка:', error);
@@ -226,93 +394,291 @@ app.get('/leaderboard', async (req, res) => {
     }
 });
 
-app.get('/profile/:uuid', async (req, res) => {
+app.get('/leaderboard/history', resolveGuild, async (req, res) => {
     try {
-        const uuid = req.params.uuid;
-        const cacheKey = `profile_${uuid}`;
+        const guildId = req.guildConfig.guildId;
+        const metric = req.query.metric || 'messages';
+        const period = req.query.period || 'all';
+        const field = resolveLeaderboardField(metric, period);
+        if (!field) {
+            return res.status(400).json({ error: 'Неизвестная метрика или период таблицы лидеров' });
+        }
+        if (!req.query.uuid) {
+            return res.status(400).json({ error: 'Не указан uuid участника' });
+        }
 
-        const cachedProfile = cache.get(cacheKey);
-        if (cachedProfile) {
-            return res.json(cachedProfile);
+        const owner = await CommandStats.findOne({ uuid: String(req.query.uuid) }).select('userId').lean();
+        const userStats = owner && await CommandStats.findOne({ userId: owner.userId, serverId: guildId }).select('userId serverId privacy').lean();
+        if (!userStats) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        const privacy = getPrivacy(userStats);
+        if (privacy.listedOnLeaderboards === false) {
+            return res.status(403).json({ error: 'Пользователь скрыл себя из таблиц лидеров' });
+        }
+        const setting = FIELD_PRIVACY_SETTINGS[field];
+        if (setting && !canView(privacy[setting], await getProfileViewer(req, userStats))) {
+            return res.status(403).json({ error: 'Пользователь скрыл эту статистику' });
         }
 
-        const userStats = await CommandStats.findOne({ uuid }).select('-__v').lean();
+        const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 90));
+        const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const data = await getRankHistory({ serverId: guildId, userId: owner.userId, field, from });
 
-        if (!userStats) {
+        res.json({ uuid: String(req.query.uuid), metric, period, days, data });
+    } catch (error) {
+        console.error('Ошибка при получении истории мест:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+// Кто смотрит профиль: сам владелец, модератор сервера или посторонний
+async function getProfileViewer(req, profile) {
+    if (!req.user) {
+        return 'public';
+    }
+    if (req.user.userId === profile.userId) {
+        return 'owner';
+    }
+    return (await isStaffOf(req, profile.serverId)) ? 'staff' : 'public';
+}
+
+// Остаток буста и накопления генераторов считаются на момент ответа, поэтому не попадают в кэш профиля
+function withLiveFields(profile) {
+    const remainingMs = getRemainingMs(profile.activeStarBoost);
+    return {
+        ...profile,
+        activeStarBoost: remainingMs > 0 ? { ...profile.activeStarBoost, remainingMs } : null,
+        generators: describeGenerators(profile.generators)
+    };
+}
+
+// Собирает профиль участника на сервере guildId (по умолчанию сервер из uuid).
+// Результат кэшируется целиком, проекция по правам зрителя делается при ответе.
+async function loadProfile(uuid, requestedGuildId) {
+    const owner = await CommandStats.findOne({ uuid }).select('userId serverId').lean();
+    if (!owner) {
+        return null;
+    }
+
+    // uuid определяет участника, а ?guild= выбирает, статистику какого сервера показать
+    const guildId = requestedGuildId ? String(requestedGuildId) : owner.serverId;
+    const cacheKey = profileCacheKey(guildId, owner.userId);
+
+    const cachedProfile = cache.get(cacheKey);
+    if (cachedProfile) {
+        return cachedProfile;
+    }
+
+    const userStats = await CommandStats.findOne({ userId: owner.userId, serverId: guildId }).select('-__v').lean();
+
+    if (!userStats) {
+        return null;
+    }
+
+    const userId = userStats.userId;
+
+    const userGuildMember = await fetchUserGuildMember(guildId, userId);
+    if (!userGuildMember) {
+        throw new Error('Failed to fetch user guild member');
+    }
+    
+    const userRolesIds = userGuildMember.roles || [];
+
+    const { ranksByField, computedAt: ranksComputedAt } = await getUserRanks(userStats);
+
+    const userAchievements = await getAchievementProgress(userStats);
+
+    const guildConfig = await getGuildConfig(guildId);
+    const isStaffMember = guildConfig && getStaffRoleIds(guildConfig).some(roleId => userRolesIds.includes(roleId));
+    const staffCounters = isStaffMember ? await getStaffCounters(userStats) : {};
+    const longestVoiceSession = await getLongestSessionSeconds(userId, guildId);
+
+    const profileData = {
+        ...userStats,
+        ...staffCounters,
+        longestVoiceSession,
+        userAvatar: userStats.userAvatar,
+        avatarUrl: userStats.userAvatar ? `https://cdn.discordapp.com/avatars/${userId}/${userStats.userAvatar}.png` : null,
+        userRankAllTime: ranksByField.totalMessages || null,
+        userRankToday: ranksByField.messagesToday || null,
+        userRankLast7Days: ranksByField.messagesLast7Days || null,
+        userRankLast30Days: ranksByField.messagesLast30Days || null,
+        ranks: groupRanks(ranksByField),
+        ranksComputedAt,
+        roles: userRolesIds,
+        achievements: userAchievements
+    };
+
+    cache.set(cacheKey, profileData, 300);
+    return profileData;
+}
+
+app.get('/profile/:uuid', async (req, res) => {
+    try {
+        const profileData = await loadProfile(req.params.uuid, req.query.guild);
+        if (!profileData) {
             return res.status(404).json({ error: 'Пользователь не найден' });
         }
 
-        const userId = userStats.userId;
+        const viewer = await getProfileViewer(req, profileData);
+        res.json(projectProfile(withLiveFields(profileData), viewer));
+    } catch (error) {
+        console.error('Ошибка:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/card/:uuid.svg', async (req, res) => {
+    try {
+        const layout = req.query.layout || 'default';
+        if (!CARD_LAYOUTS.includes(layout)) {
+            return res.status(400).json({ error: 'Неизвестный вариант карточки' });
+        }
+
+        const profileData = await loadProfile(req.params.uuid, req.query.guild);
+        if (!profileData) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
 
-        const userGuildMember = await fetchUserGuildMember(userId);
-        if (!userGuildMember) {
-            throw new Error('Failed to fetch user guild member');
-        }
-        
-        const userRolesIds = userGuildMember.roles || [];
-
-        const userRankAllTime = await CommandStats.countDocuments({ totalMessages: { $gt: userStats.totalMessages } }) + 1;
-        const userRankToday = await CommandStats.countDocuments({ messagesToday: { $gt: userStats.messagesToday } }) + 1;
-        const userRankLast7Days = await CommandStats.countDocuments({ messagesLast7Days: { $gt: userStats.messagesLast7Days } }) + 1;
-        const userRankLast30Days = await CommandStats.countDocuments({ messagesLast30Days: { $gt: userStats.messagesLast30Days } }) + 1;
-        const userRoles = Object.keys(userStats.roleAcquisitionDates).filter(roleId => allowedRoleIds.includes(roleId));
-
-        const achievements = [
-            { name: 'message_master', description: 'Написать 500 сообщений за 24 часа', target: 500 },
-            { name: 'voice_champion', description: 'Попасть в топ 1 за 24 часа по голосовому времени' },
-            { name: 'lovebird', description: 'Создать брак через бота' },
-            { name: 'voice_time_10s', description: 'Просидеть 1 час в голосовом канале подряд', target: 3600 },
-        ];
-
-        const userAchievements = achievements.map(achievement => {
-            let progress = 0;
-            let completed = false;
-
-            if (achievement.name === 'message_master') {
-                progress = userStats.messagesToday;
-                completed = userStats.achievements.some(a => a.name === achievement.name && a.completed);
-            } else if (achievement.name === 'voice_time_10s') {
-                progress = Math.floor(userStats.voiceTime / 1000);
-                completed = userStats.achievements.some(a => a.name === achievement.name && a.completed);
-            } else {
-                completed = userStats.achievements.some(a => a.name === achievement.name && a.completed);
-            }
+        const viewer = await getProfileViewer(req, profileData);
+        const guildConfig = await getGuildConfig(profileData.serverId);
+        const staffRoles = guildConfig ? guildConfig.staffRoles : [];
+        const position = staffRoles.find(staffRole => profileData.roles.includes(staffRole.roleId)) || null;
+
+        const svg = renderCard({
+            profile: projectProfile(profileData, viewer),
+            layout,
+            theme: guildConfig ? guildConfig.theme : undefined,
+            position,
+            avatar: await fetchAvatarDataUri(profileData.avatarUrl)
+        });
 
-            return {
-                ...achievement,
-                progress: progress,
-                completed: completed
-            };
+        const etag = `"${crypto.createHash('sha1').update(svg).digest('hex')}"`;
+        res.set({
+            'Content-Type': 'image/svg+xml; charset=utf-8',
+            'Cache-Control': 'max-age=300',
+            'ETag': etag,
+            'Vary': 'Cookie'
         });
+        if (req.headers['if-none-match'] === etag) {
+            return res.status(304).end();
+        }
+        res.send(svg);
+    } catch (error) {
+        console.error('Ошибка при отрисовке карточки:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/nominations', resolveGuild, async (req, res) => {
+    try {
+        const { period, category, user } = req.query;
+        if (period && !NOMINATION_PERIODS.includes(period)) {
+            return res.status(400).json({ error: 'Неизвестный период номинации' });
+        }
+        if (category && !NOMINATION_CATEGORIES[category]) {
+            return res.status(400).json({ error: 'Неизвестная категория номинации' });
+        }
+
+        const filter = { serverId: req.guildConfig.guildId };
+        if (period) filter.period = period;
+        if (category) filter.category = category;
+        if (user) filter['winner.userId'] = String(user);
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
 
-        const profileData = {
-            ...userStats,
-            userAvatar: userStats.userAvatar,
-            userRankAllTime,
-            userRankToday,
-            userRankLast7Days,
-            userRankLast30Days,
-            roles: userRolesIds,
-            achievements: userAchievements
-        };
+        const [nominations, total] = await Promise.all([
+            Nomination.find(filter)
+                .sort({ periodStart: -1, period: 1, category: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-__v')
+                .lean(),
+            Nomination.countDocuments(filter)
+        ]);
 
-        cache.set(cacheKey, profileData, 300);
-        res.json(profileData);
+        res.json({
+            data: nominations,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
     } catch (error) {
-        console.error('Ошибка:', error);
+        console.error('Ошибка при получении номинаций:', error);
         res.status(500).json({ error: 'Ошибка сервера' });
     }
 });
 
-app.get('/achievements', async (req, res) => {
+app.get('/seasons', resolveGuild, async (req, res) => {
+    try {
+        const filter = { serverId: req.guildConfig.guildId };
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+        const [seasons, total] = await Promise.all([
+            Season.find(filter)
+                .sort({ startDate: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-standings -__v')
+                .lean(),
+            Season.countDocuments(filter)
+        ]);
+
+        res.json({
+            data: seasons,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error('Ошибка при получении сезонов:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/seasons/:id/standings', resolveGuild, async (req, res) => {
     try {
-        const achievements = [
-            { name: 'message_master', description: 'Написать 500 сообщений за 24 часа', target: 500 },
-            { name: 'voice_champion', description: 'Попасть в топ 1 за 24 часа по голосовому времени' },
-            { name: 'lovebird', description: 'Создать брак через бота' },
-            { name: 'voice_time_10s', description: 'Просидеть 1 час в голосовом канале подряд', target: 3600 },
-        ];
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Некорректный идентификатор сезона' });
+        }
+        const metric = req.query.metric || 'messages';
+        if (!SEASON_METRICS[metric]) {
+            return res.status(400).json({ error: 'Неизвестная метрика сезона' });
+        }
+
+        const season = await Season.findOne({ _id: req.params.id, serverId: req.guildConfig.guildId }).select('-__v').lean();
+        if (!season) {
+            return res.status(404).json({ error: 'Сезон не найден' });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+        const { total, data } = await getSeasonStandings({ season, metric, offset: (page - 1) * limit, limit });
+
+        res.json({
+            season: { _id: season._id, number: season.number, name: season.name, startDate: season.startDate, endDate: season.endDate, status: season.status, countersUpdatedAt: season.countersUpdatedAt },
+            metric,
+            // Discord ID наружу не отдаётся, как и в таблицах лидеров
+            data: data.map(({ userId, ...row }) => row),
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error('Ошибка при получении таблицы сезона:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
 
+app.get('/achievements', async (req, res) => {
+    try {
+        const achievements = await getAchievementDefinitions();
         res.json(achievements);
     } catch (error) {
         console.error('Ошибка:', error);
@@ -330,38 +696,12 @@ app.get('/achievements/:uuid', async (req, res) => {
             return res.json(cachedAchievements);
         }
 
-        const userStats = await CommandStats.findOne({ uuid });
+        const userStats = await CommandStats.findOne({ uuid }).lean();
         if (!userStats) {
             return res.status(404).json({ error: 'Пользователь не найден' });
         }
 
-        const achievements = [
-            { name: 'message_master', description: 'Написать 500 сообщений за 24 часа', target: 500 },
-            { name: 'voice_champion', description: 'Попасть в топ 1 за 24 часа по голосовому времени' },
-            { name: 'lovebird', description: 'Создать брак через бота' },
-            { name: 'voice_time_10s', description: 'Просидеть 1 час в голосовом канале подряд', target: 3600 },
-        ];
-
-        const userAchievements = achievements.map(achievement => {
-            let progress = 0;
-            let completed = false;
-
-            if (achievement.name === 'message_master') {
-                progress = userStats.messagesToday;
-                completed = userStats.achievements.some(a => a.name === achievement.name && a.completed);
-            } else if (achievement.name === 'voice_time_10s') {
-                progress = Math.floor(userStats.voiceTime / 1000);
-                completed = userStats.achievements.some(a => a.name === achievement.name && a.completed);
-            } else {
-                completed = userStats.achievements.some(a => a.name === achievement.name && a.completed);
-            }
-
-            return {
-                ...achievement,
-                progress: progress,
-                completed: completed
-            };
-        });
+        const userAchievements = await getAchievementProgress(userStats);
 
         cache.set(cacheKey, userAchievements, 300); 
         res.json(userAchievements);
@@ -371,9 +711,12 @@ app.get('/achievements/:uuid', async (req, res) => {
     }
 });
 
-app.get('/shop', async (req, res) => {
+app.get('/shop', resolveGuild, async (req, res) => {
     try {
-        const items = await Item.find();
+        if (!req.guildConfig.shop.enabled) {
+            return res.json([]);
+        }
+        const items = await Item.find({ guildId: req.guildConfig.guildId, hidden: { $ne: true } });
         res.json(items);
     } catch (error) {
         console.error('Ошибка при получении данных магазина:', error);
@@ -381,91 +724,282 @@ app.get('/shop', async (req, res) => {
     }
 });
 
-app.get('/profile/:userId/messagesByDate', async (req, res) => {
+app.get('/shop/quote', resolveGuild, async (req, res) => {
     try {
-        const userId = req.params.userId;
-        const userStats = await CommandStats.findOne({ userId });
+        const guildConfig = req.guildConfig;
+        if (!guildConfig.shop.enabled) {
+            return res.json({ discounts: [], promo: null, items: [] });
+        }
 
-        if (!userStats) {
-            return res.status(404).json({ error: 'Пользователь не найден' });
+        const userId = req.isAuthenticated() ? req.user.userId : null;
+        const memberRoles = userId ? await getMemberRoles(guildConfig.guildId, userId) : [];
+        const items = await Item.find({ guildId: guildConfig.guildId, hidden: { $ne: true } }).lean();
+
+        const quote = await quoteItems({ guildConfig, items, memberRoles, userId, promoCode: req.query.promo || null });
+
+        const purchaseCounts = userId
+            ? await getPurchaseCounts({ userId, serverId: guildConfig.guildId, itemIds: items.map(item => item._id.toString()) })
+            : new Map();
+        quote.items.forEach((quotedItem, index) => {
+            const itemCounts = purchaseCounts.get(quotedItem.itemId);
+            quotedItem.unavailableReason = checkPurchaseLimits(items[index], 1, itemCounts);
+            quotedItem.remaining = getRemainingQuantity(items[index], itemCounts);
+        });
+
+        res.json(quote);
+    } catch (error) {
+        console.error('Ошибка при расчёте цен:', error);
+        res.status(500).json({ error: 'Ошибка при расчёте цен' });
+    }
+});
+
+// Находит запись участника на запрошенном сервере (?guild=, по умолчанию сервер из uuid)
+// и проверяет, может ли зрителю быть показана его активность
+async function findVisibleActivity(req, res, fields) {
+    const owner = await CommandStats.findOne({ uuid: req.params.uuid }).select('userId serverId').lean();
+    if (!owner) {
+        res.status(404).json({ error: 'Пользователь не найден' });
+        return null;
+    }
+
+    const guildId = req.query.guild ? String(req.query.guild) : owner.serverId;
+    const userStats = await CommandStats.findOne({ userId: owner.userId, serverId: guildId }).select(`userId serverId privacy ${fields}`).lean();
+    if (!userStats) {
+        res.status(404).json({ error: 'Пользователь не найден' });
+        return null;
+    }
+
+    const viewer = await getProfileViewer(req, userStats);
+    if (!canView(getPrivacy(userStats).activity, viewer)) {
+        res.status(403).json({ error: 'Пользователь скрыл свою активность' });
+        return null;
+    }
+    return userStats;
+}
+
+app.get('/profile/:uuid/messagesByDate', async (req, res) => {
+    try {
+        const userStats = await findVisibleActivity(req, res, 'messagesByDate');
+        if (!userStats) return;
+
+        res.json(userStats.messagesByDate || {});
+    } catch (error) {
+        console.error('Ошибка:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/profile/:uuid/activity', async (req, res) => {
+    try {
+        const userStats = await findVisibleActivity(req, res, 'messagesByDate');
+        if (!userStats) return;
+
+        const cacheKey = `activity_${userStats.serverId}_${userStats.userId}`;
+        const cachedActivity = cache.get(cacheKey);
+        if (cachedActivity) {
+            return res.json(cachedActivity);
         }
 
-        res.json(userStats.messagesByDate);
+        const activity = summarizeActivity(userStats.messagesByDate);
+        cache.set(cacheKey, activity, 300);
+        res.json(activity);
+    } catch (error) {
+        console.error('Ошибка при расчёте активности:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/profile/:uuid/voiceByDate', async (req, res) => {
+    try {
+        const userStats = await findVisibleActivity(req, res, 'voiceByDate');
+        if (!userStats) return;
+
+        res.json(userStats.voiceByDate || {});
     } catch (error) {
         console.error('Ошибка:', error);
         res.status(500).json({ error: 'Ошибка сервера' });
     }
 });
 
-app.post('/buy', async (req, res) => {
+app.get('/me', ensureAuthenticated, (req, res) => {
+    const { uuid, userId, username, userAvatar } = req.user;
+    res.json({ uuid, userId, username, userAvatar });
+});
+
+app.put('/me/privacy', ensureAuthenticated, async (req, res) => {
+    try {
+        const { settings, error } = validatePrivacy(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const set = {};
+        for (const [setting, value] of Object.entries(settings)) {
+            set[`privacy.${setting}`] = value;
+        }
+        // Настройки относятся к человеку, поэтому применяются ко всем его серверам
+        const userId = req.user.userId;
+        if (Object.keys(set).length > 0) {
+            await CommandStats.updateMany({ userId }, { $set: set });
+        }
+        if (settings.listedOnLeaderboards === false) {
+            await forgetRankHistory(userId);
+        }
+
+        const records = await CommandStats.find({ userId }).select('serverId privacy').lean();
+        records.forEach(record => {
+            cache.del(profileCacheKey(record.serverId, userId));
+            cache.del(`activity_${record.serverId}_${userId}`);
+        });
+
+        const current = records.find(record => record.serverId === req.user.serverId) || records[0];
+        res.json({ message: 'Настройки приватности сохранены', privacy: getPrivacy(current) });
+    } catch (error) {
+        console.error('Ошибка при сохранении настроек приватности:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/me/export', ensureAuthenticated, async (req, res) => {
+    try {
+        const archive = await buildExportArchive(req.user.userId, { expires: req.session.cookie.expires });
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="zeynbot-data-${req.user.userId}.zip"`
+        });
+        res.send(archive);
+    } catch (error) {
+        console.error('Ошибка при выгрузке данных пользователя:', error);
+        res.status(500).json({ error: 'Ошибка при выгрузке данных' });
+    }
+});
+
+// Первый шаг удаления: выдаёт одноразовый код, который нужно передать в DELETE /me
+app.post('/me/delete-request', ensureAuthenticated, (req, res) => {
+    const confirmationToken = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + DELETION_CONFIRMATION_TTL);
+    req.session.deletionConfirmation = { token: confirmationToken, expiresAt: expiresAt.getTime() };
+    res.json({ confirmationToken, expiresAt });
+});
+
+app.delete('/me', ensureAuthenticated, async (req, res) => {
+    const pending = req.session.deletionConfirmation;
+    const { confirmationToken } = req.body || {};
+    if (!pending || pending.expiresAt < Date.now() || confirmationToken !== pending.token) {
+        return res.status(400).json({ error: 'Удаление не подтверждено или код подтверждения истёк' });
+    }
+
+    const userId = req.user.userId;
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const result = await deletePersonalData(userId, session);
+        await session.commitTransaction();
+        console.log(`Данные пользователя удалены, запись ${result.anonymizedId}`);
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Ошибка при удалении данных пользователя:', error);
+        return res.status(500).json({ error: 'Ошибка при удалении данных' });
+    } finally {
+        session.endSession();
+    }
+
+    cache.flushAll();
+    req.logout(err => {
+        if (err) {
+            console.error('Ошибка при выходе из системы:', err);
+        }
+        req.session.destroy(() => {
+            res.json({ message: 'Ваши данные удалены' });
+        });
+    });
+});
+
+app.post('/buy', ensureAuthenticated, resolveGuild, async (req, res) => {
+    const { itemName, quantity, promo } = req.body;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ error: 'Некорректное количество товара' });
+    }
+
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
-        const { uuid, userId, itemName, quantity } = req.body;
+        const userId = req.user.userId;
+        const guildConfig = req.guildConfig;
+
+        if (!guildConfig.shop.enabled) {
+            await session.abortTransaction();
+            return res.status(403).json({ error: 'Магазин на этом сервере отключён' });
+        }
 
-        const user = await CommandStats.findOne({ uuid, userId }).session(session);
+        const user = await CommandStats.findOne({ userId, serverId: guildConfig.guildId }).session(session);
         if (!user) {
             await session.abortTransaction();
-            session.endSession();
-            return res.status(404).json({ error: 'Пользователь не найден. Если вы изменили userId в хранилище, то верните его пожалуйста :)))))' });
+            return res.status(404).json({ error: 'Пользователь не найден' });
         }
 
-        const item = await Item.findOne({ name: itemName }).session(session);
+        const item = await Item.findOne({ name: itemName, guildId: guildConfig.guildId, hidden: { $ne: true } }).session(session);
         if (!item) {
             await session.abortTransaction();
-            session.endSession();
             return res.status(404).json({ error: 'Товар не найден' });
         }
 
-        if (item.stock !== -1 && item.stock < quantity) {
+        const purchaseCounts = await getPurchaseCounts({ userId, serverId: user.serverId, itemIds: [item._id.toString()], session });
+        const limitReason = checkPurchaseLimits(item, quantity, purchaseCounts.get(item._id.toString()));
+        if (limitReason) {
             await session.abortTransaction();
-            session.endSession();
-            return res.status(400).json({ error: 'Недостаточно товара в наличии' });
+            return rejectPurchase(res, limitReason);
         }
 
-        const today = new Date().getDay();
-        const isDiscountDay = today === 0 || today === 6;
-        let discountPercentage = isDiscountDay ? 5 : 0;
-
-        const guild = await client.guilds.fetch(GUILD_ID);
-        const member = await guild.members.fetch(userId);
-
-        const hasPermanentDiscountRole = member.roles.cache.has('1260383669839724634');
-        if (hasPermanentDiscountRole) {
-            discountPercentage += 20;
+        const memberRoles = await getMemberRoles(guildConfig.guildId, userId);
+        const quote = await quoteItems({ guildConfig, items: [item], memberRoles, userId, promoCode: promo });
+        if (quote.promo && !quote.promo.valid) {
+            await session.abortTransaction();
+            return res.status(400).json({ error: 'Промокод недействителен', reason: quote.promo.reason });
+        }
+        // Промокод, который не дал скидки на этот товар, не тратит использование
+        if (promo && !quote.items[0].discounts.some(discount => discount.source === 'promo')) {
+            await session.abortTransaction();
+            return res.status(400).json({ error: 'Промокод не действует на этот товар', reason: 'PROMO_NOT_APPLICABLE' });
+        }
+        if (promo && !(await redeemPromoCode({ guildId: guildConfig.guildId, code: promo, userId, session }))) {
+            await session.abortTransaction();
+            return res.status(400).json({ error: 'Промокод недействителен', reason: 'PROMO_EXHAUSTED' });
         }
 
-        const discountedPrice = Math.round(item.price * (1 - discountPercentage / 100));
+        const discountedPrice = quote.items[0].unitPrice;
 
-        if (user.stars < discountedPrice * quantity) {
+        const charge = await applyStarChange({
+            userId,
+            serverId: user.serverId,
+            amount: -discountedPrice * quantity,
+            type: 'purchase',
+            item: { itemId: item._id.toString(), itemName: item.name, quantity, unitPrice: discountedPrice },
+            session
+        });
+        if (!charge) {
             await session.abortTransaction();
-            session.endSession();
-            return res.status(400).json({ error: 'Недостаточно звезд' });
+            return rejectPurchase(res, 'INSUFFICIENT_STARS');
         }
 
-        user.stars -= discountedPrice * quantity;
-        await user.save({ session });
-
         if (item.stock !== -1) {
             item.stock -= quantity;
             await item.save({ session });
         }
+        await CommandStats.updateOne({ _id: user._id }, { $inc: { purchaseCount: 1 } }, { session });
 
-        let inventory = await Inventory.findOne({ userId }).session(session);
-        if (!inventory) {
-            inventory = new Inventory({ userId, items: [] });
-        }
-
-        const existingItemIndex = inventory.items.findIndex(i => i.itemId.toString() === item._id.toString());
-        if (existingItemIndex !== -1) {
-            inventory.items[existingItemIndex].quantity += quantity;
+        // Бусты и генераторы активируются сразу при покупке, остальное попадает в инвентарь
+        if (isAppliedOnPurchase(item)) {
+            await applyPurchaseEffect({ userId, guildId: guildConfig.guildId, item, quantity, session });
         } else {
-            inventory.items.push({ itemId: item._id, itemName: item.name, quantity });
+            await addInventoryItem({ userId, guildId: guildConfig.guildId, item, quantity, session });
         }
-        await inventory.save({ session });
 
         await session.commitTransaction();
+        cache.del(profileCacheKey(user.serverId, userId));
+        checkAchievementsLater(user.serverId, userId);
         res.json({ message: `Вы успешно купили ${quantity}x ${item.name} за ${discountedPrice * quantity} звезд!` });
     } catch (error) {
         await session.abortTransaction();
@@ -476,23 +1010,971 @@ app.post('/buy', async (req, res) => {
     }
 });
 
-app.get('/auth/discord', (req, res, next) => {
-    passport.authenticate('discord')(req, res, next)
-});
+app.get('/transactions/:uuid', ensureAuthenticated, async (req, res) => {
+    try {
+        const owner = await CommandStats.findOne({ uuid: req.params.uuid }).select('userId serverId').lean();
+        if (!owner) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
 
-app.get('/auth/callback',
-    passport.authenticate('discord', { failureRedirect: '/' }), 
-    async (req, res) => {
-        try {
-            const user = await CommandStats.findOne({ userId: req.user.userId }).select('uuid');
-            if (!user) {
-                return res.status(404).send('User not found');
+        if (!(await isOwnerOrStaff(req, owner))) {
+            return res.status(403).json({ error: 'Недостаточно прав' });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const filter = { userId: owner.userId, serverId: owner.serverId };
+
+        const [transactions, total] = await Promise.all([
+            StarTransaction.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-__v')
+                .lean(),
+            StarTransaction.countDocuments(filter)
+        ]);
+
+        // Покупки, которые можно вернуть: ещё не возвращены и товар не применился при покупке
+        const purchasedIds = transactions
+            .filter(transaction => transaction.type === 'purchase' && !transaction.refundedBy && mongoose.isValidObjectId(transaction.item && transaction.item.itemId))
+            .map(transaction => transaction.item.itemId);
+        const purchasedItems = await Item.find({ _id: { $in: purchasedIds } }).select('effect').lean();
+        const appliedOnPurchase = new Set(purchasedItems.filter(isAppliedOnPurchase).map(item => item._id.toString()));
+        transactions.forEach(transaction => {
+            if (transaction.type === 'purchase') {
+                transaction.refundable = !transaction.refundedBy && !appliedOnPurchase.has(transaction.item.itemId);
             }
-            res.redirect(`http://127.0.0.1:5500/index.html?uuid=${user.uuid}`);
-        } catch (error) {
-            console.error("Error in /auth/callback:", error);
-            res.status(500).send("An error occurred during authentication.");
+        });
+
+        res.json({
+            data: transactions,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error('Ошибка при получении истории транзакций:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/staff/actions', ensureAuthenticated, resolveGuild, ensureStaff, async (req, res) => {
+    try {
+        const { actor, target, type } = req.query;
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to);
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ error: 'Некорректная дата' });
+        }
+        const types = type ? String(type).split(',') : [];
+        if (types.some(action => !ACTION_METRICS[action])) {
+            return res.status(400).json({ error: 'Неизвестный тип действия' });
+        }
+
+        const filter = { serverId: req.guildConfig.guildId };
+        if (actor) filter.actorId = String(actor);
+        if (target) filter.targetId = String(target);
+        if (types.length > 0) filter.action = { $in: types };
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+        const [actions, total] = await Promise.all([
+            ModerationAction.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-__v')
+                .lean(),
+            ModerationAction.countDocuments(filter)
+        ]);
+
+        res.json({
+            data: actions,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error('Ошибка при получении журнала модерации:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/inventory/:uuid', ensureAuthenticated, async (req, res) => {
+    try {
+        const owner = await CommandStats.findOne({ uuid: req.params.uuid }).select('userId serverId').lean();
+        if (!owner) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        if (!(await isOwnerOrStaff(req, owner))) {
+            return res.status(403).json({ error: 'Недостаточно прав' });
+        }
+
+        const inventory = await Inventory.findOne({ userId: owner.userId, guildId: owner.serverId }).lean();
+        const entries = inventory ? inventory.items.filter(entry => entry.quantity > 0) : [];
+        const items = await Item.find({ _id: { $in: entries.map(entry => entry.itemId) } }).select('effect').lean();
+        const effects = new Map(items.map(item => [item._id.toString(), item.effect]));
+
+        res.json(entries.map(entry => {
+            const effect = effects.get(entry.itemId);
+            return {
+                itemId: entry.itemId,
+                itemName: entry.itemName,
+                quantity: entry.quantity,
+                effect: effect && effect.kind ? effect : null
+            };
+        }));
+    } catch (error) {
+        console.error('Ошибка при получении инвентаря:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.post('/inventory/use', ensureAuthenticated, resolveGuild, async (req, res) => {
+    const { itemId } = req.body;
+    if (!mongoose.isValidObjectId(itemId)) {
+        return res.status(400).json({ error: 'Некорректный идентификатор предмета' });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const userId = req.user.userId;
+        const guildId = req.guildConfig.guildId;
+
+        const item = await Item.findOne({ _id: itemId, guildId }).session(session);
+        if (!isUsable(item)) {
+            await session.abortTransaction();
+            return res.status(400).json({ error: 'Этот предмет нельзя использовать' });
+        }
+
+        const taken = await takeInventoryItem({ userId, guildId, itemId, session });
+        if (!taken) {
+            await session.abortTransaction();
+            return res.status(404).json({ error: 'Такого предмета нет в инвентаре' });
+        }
+
+        const effect = await applyItemEffect({ userId, guildId, item, session });
+
+        await session.commitTransaction();
+        cache.del(profileCacheKey(guildId, userId));
+        checkAchievementsLater(guildId, userId);
+
+        const granted = await grantEffectRole({
+            userId,
+            guildId,
+            effect,
+            reason: `Использован предмет ${item.name}`,
+            compensate: () => addInventoryItem({ userId, guildId, item, quantity: 1 })
+        });
+        if (!granted) {
+            return res.status(502).json({ error: 'Не удалось выдать роль, предмет возвращён в инвентарь' });
+        }
+        res.json({ message: `Вы использовали ${item.name}`, effect });
+    } catch (error) {
+        // Ошибка после коммита (при выдаче роли) не должна откатывать уже записанную транзакцию
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        console.error('Ошибка при использовании предмета:', error);
+        res.status(500).json({ error: 'Ошибка при использовании предмета' });
+    } finally {
+        session.endSession();
+    }
+});
+
+app.get('/quests', ensureAuthenticated, resolveGuild, async (req, res) => {
+    try {
+        const userStats = await CommandStats.findOne({ userId: req.user.userId, serverId: req.guildConfig.guildId }).lean();
+        if (!userStats) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+
+        res.json(await getUserQuests(userStats));
+    } catch (error) {
+        console.error('Ошибка при получении заданий:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.post('/quests/:id/claim', ensureAuthenticated, resolveGuild, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: 'Некорректный идентификатор задания' });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const userId = req.user.userId;
+        const guildId = req.guildConfig.guildId;
+
+        const result = await claimQuest({ questId: req.params.id, userId, serverId: guildId, session });
+
+        await session.commitTransaction();
+        cache.del(profileCacheKey(guildId, userId));
+        checkAchievementsLater(guildId, userId);
+        res.json({ message: `Вы получили ${result.quest.reward.stars} звезд за задание`, quest: result.quest, stars: result.stars });
+    } catch (error) {
+        await session.abortTransaction();
+        if (error instanceof QuestError) {
+            return res.status(error.code === 'NOT_FOUND' ? 404 : 400).json({ error: error.message, reason: error.code });
+        }
+        console.error('Ошибка при получении награды за задание:', error);
+        res.status(500).json({ error: 'Ошибка при получении награды за задание' });
+    } finally {
+        session.endSession();
+    }
+});
+
+app.post('/generators/claim', ensureAuthenticated, resolveGuild, async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const userId = req.user.userId;
+        const guildId = req.guildConfig.guildId;
+
+        const result = await claimGenerators({ userId, serverId: guildId, session });
+        if (!result) {
+            await session.abortTransaction();
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        if (result.claimed === 0) {
+            await session.abortTransaction();
+            return res.status(400).json({ error: 'Генераторы ещё ничего не накопили' });
+        }
+
+        await session.commitTransaction();
+        cache.del(profileCacheKey(guildId, userId));
+        checkAchievementsLater(guildId, userId);
+        res.json({ message: `Вы собрали ${result.claimed} звезд`, claimed: result.claimed, stars: result.user.stars });
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Ошибка при сборе с генераторов:', error);
+        res.status(500).json({ error: 'Ошибка при сборе с генераторов' });
+    } finally {
+        session.endSession();
+    }
+});
+
+app.get('/lootboxes/tables', resolveGuild, async (req, res) => {
+    try {
+        const tables = await LootTable.find({ guildId: req.guildConfig.guildId }).lean();
+        res.json(tables.map(table => {
+            const totalWeight = table.entries.reduce((total, entry) => total + entry.weight, 0);
+            return {
+                rarity: table.rarity,
+                entries: table.entries.map(entry => ({
+                    kind: entry.kind,
+                    label: entry.label,
+                    chance: totalWeight > 0 ? Math.round(entry.weight / totalWeight * 10000) / 100 : 0
+                }))
+            };
+        }));
+    } catch (error) {
+        console.error('Ошибка при получении таблиц лутбоксов:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/lootboxes/fairness', ensureAuthenticated, resolveGuild, async (req, res) => {
+    try {
+        const seed = await getActiveSeed(req.user.userId, req.guildConfig.guildId);
+        res.json({ serverSeedHash: seed.serverSeedHash, nextNonce: seed.nonce });
+    } catch (error) {
+        console.error('Ошибка при получении сида:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.post('/lootboxes/seed/rotate', ensureAuthenticated, resolveGuild, async (req, res) => {
+    try {
+        const { revealed, next } = await rotateSeed(req.user.userId, req.guildConfig.guildId);
+        res.json({
+            revealed: revealed ? { serverSeed: revealed.serverSeed, serverSeedHash: revealed.serverSeedHash, noncesUsed: revealed.nonce } : null,
+            next: { serverSeedHash: next.serverSeedHash, nextNonce: next.nonce }
+        });
+    } catch (error) {
+        console.error('Ошибка при смене сида:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.post('/lootboxes/open', ensureAuthenticated, resolveGuild, async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        await getActiveSeed(req.user.userId, req.guildConfig.guildId);
+        const opening = await openLootbox({
+            userId: req.user.userId,
+            serverId: req.guildConfig.guildId,
+            rarity: req.body.rarity,
+            session
+        });
+
+        await session.commitTransaction();
+        cache.del(profileCacheKey(req.guildConfig.guildId, req.user.userId));
+        checkAchievementsLater(req.guildConfig.guildId, req.user.userId);
+
+        const granted = await grantEffectRole({
+            userId: req.user.userId,
+            guildId: req.guildConfig.guildId,
+            effect: opening.reward,
+            reason: `Лутбокс (${opening.rarity})`,
+            compensate: () => CommandStats.updateOne(
+                { userId: req.user.userId, serverId: req.guildConfig.guildId },
+                { $inc: { [LOOTBOX_COUNTERS[opening.rarity]]: 1, totalLootboxCount: 1 } }
+            )
+        });
+        if (!granted) {
+            return res.status(502).json({ error: 'Не удалось выдать роль, лутбокс возвращён' });
+        }
+        res.json({
+            id: opening._id,
+            rarity: opening.rarity,
+            nonce: opening.nonce,
+            reward: opening.reward,
+            message: `Вам выпало: ${opening.reward.label}`
+        });
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        if (error instanceof LootboxError) {
+            return res.status(400).json({ error: error.message, reason: error.code });
+        }
+        console.error('Ошибка при открытии лутбокса:', error);
+        res.status(500).json({ error: 'Ошибка при открытии лутбокса' });
+    } finally {
+        session.endSession();
+    }
+});
+
+app.get('/lootboxes/openings/:uuid', ensureAuthenticated, async (req, res) => {
+    try {
+        const owner = await CommandStats.findOne({ uuid: req.params.uuid }).select('userId serverId').lean();
+        if (!owner) {
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+        if (!(await isOwnerOrStaff(req, owner))) {
+            return res.status(403).json({ error: 'Недостаточно прав' });
+        }
+
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+        const openings = await LootboxOpening.find({ userId: owner.userId, serverId: owner.serverId })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('rarity nonce reward createdAt')
+            .lean();
+        res.json(openings);
+    } catch (error) {
+        console.error('Ошибка при получении открытий лутбоксов:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/lootboxes/openings/:id/verify', ensureAuthenticated, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Некорректный идентификатор открытия' });
+        }
+        const opening = await LootboxOpening.findById(req.params.id).lean();
+        if (!opening) {
+            return res.status(404).json({ error: 'Открытие не найдено' });
+        }
+
+        const isStaff = await isStaffOf(req, opening.serverId);
+        if (!isStaff && opening.userId !== req.user.userId) {
+            return res.status(403).json({ error: 'Недостаточно прав' });
+        }
+
+        // Нераскрытый сид не отдаётся никому, даже персоналу: по нему можно предсказать следующие броски
+        const { seed, roll, entryIndex, matches } = await verifyOpening(opening);
+        if (!seed.revealedAt) {
+            return res.status(403).json({
+                error: 'Сид ещё не раскрыт: смените его, чтобы проверить это открытие',
+                reason: 'SEED_NOT_REVEALED',
+                serverSeedHash: seed.serverSeedHash
+            });
+        }
+
+        res.json({
+            serverSeed: seed.serverSeed,
+            serverSeedHash: seed.serverSeedHash,
+            userId: opening.userId,
+            nonce: opening.nonce,
+            entries: opening.entries,
+            storedRoll: opening.roll,
+            recomputedRoll: roll,
+            storedEntryIndex: opening.entryIndex,
+            recomputedEntryIndex: entryIndex,
+            matches
+        });
+    } catch (error) {
+        console.error('Ошибка при проверке открытия:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.put('/admin/loot-tables/:rarity', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    try {
+        const { rarity } = req.params;
+        const entries = req.body.entries;
+        if (!['regular', 'epic', 'legendary'].includes(rarity)) {
+            return res.status(400).json({ error: 'Неизвестная редкость лутбокса' });
+        }
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return res.status(400).json({ error: 'Таблица наград не может быть пустой' });
+        }
+        for (const entry of entries) {
+            if (!['stars', 'item', 'boost', 'role'].includes(entry.kind)) {
+                return res.status(400).json({ error: 'Неизвестный тип награды' });
+            }
+            if (!(entry.weight > 0) || !entry.label) {
+                return res.status(400).json({ error: 'У каждой награды должны быть положительный вес и название' });
+            }
+            const entryError = entry.kind === 'stars'
+                ? (entry.amount > 0 ? null : 'Для звёзд укажите количество')
+                : entry.kind === 'item'
+                    ? (mongoose.isValidObjectId(entry.itemId) ? null : 'Для предмета укажите itemId')
+                    : validateItemEffect(entry);
+            if (entryError) {
+                return res.status(400).json({ error: entryError });
+            }
+        }
+
+        const table = await LootTable.findOneAndUpdate(
+            { guildId: req.guildConfig.guildId, rarity },
+            { $set: { entries } },
+            { upsert: true, new: true, runValidators: true }
+        );
+        res.json(table);
+    } catch (error) {
+        console.error('Ошибка при сохранении таблицы лутбокса:', error);
+        res.status(500).json({ error: 'Ошибка при сохранении таблицы лутбокса' });
+    }
+});
+
+app.post('/admin/transactions/:id/refund', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: 'Некорректный идентификатор транзакции' });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const purchase = await StarTransaction.findById(req.params.id).session(session);
+        if (!purchase || purchase.type !== 'purchase' || purchase.serverId !== req.guildConfig.guildId) {
+            await session.abortTransaction();
+            return res.status(404).json({ error: 'Покупка не найдена' });
+        }
+        if (purchase.refundedBy) {
+            await session.abortTransaction();
+            return res.status(409).json({ error: 'Покупка уже возвращена' });
+        }
+
+        const { itemId, quantity } = purchase.item;
+
+        // Бусты и генераторы применяются при покупке и в инвентарь не попадают, забрать их обратно нельзя
+        const item = await Item.findById(itemId).select('effect').session(session).lean();
+        if (isAppliedOnPurchase(item)) {
+            await session.abortTransaction();
+            return res.status(409).json({ error: 'Эффект товара применён при покупке, вернуть её нельзя', reason: 'APPLIED_ON_PURCHASE' });
+        }
+
+        const taken = await takeInventoryItem({ userId: purchase.userId, guildId: purchase.serverId, itemId, quantity, session });
+        if (!taken) {
+            await session.abortTransaction();
+            return res.status(409).json({ error: 'Товар уже использован, вернуть покупку нельзя' });
+        }
+
+        await Item.updateOne({ _id: itemId, stock: { $ne: -1 } }, { $inc: { stock: quantity } }, { session });
+
+        const refund = await applyStarChange({
+            userId: purchase.userId,
+            serverId: purchase.serverId,
+            amount: -purchase.amount,
+            type: 'refund',
+            item: purchase.item,
+            actorId: req.user.userId,
+            note: req.body.reason || null,
+            refundOf: purchase._id,
+            session
+        });
+        if (!refund) {
+            await session.abortTransaction();
+            return res.status(404).json({ error: 'Пользователь не найден' });
+        }
+
+        purchase.refundedBy = refund.transaction._id;
+        await purchase.save({ session });
+
+        await session.commitTransaction();
+        cache.del(profileCacheKey(purchase.serverId, purchase.userId));
+        res.json({ message: `Возвращено ${refund.transaction.amount} звезд`, transaction: refund.transaction });
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Ошибка при возврате покупки:', error);
+        res.status(500).json({ error: 'Ошибка при возврате покупки' });
+    } finally {
+        session.endSession();
+    }
+});
+
+const EDITABLE_ITEM_FIELDS = ['name', 'price', 'stock', 'maxStock', 'unique', 'discount', 'perUserLimit', 'perDayLimit', 'effect'];
+
+function pickItemFields(body) {
+    const fields = {};
+    for (const field of EDITABLE_ITEM_FIELDS) {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    }
+    return fields;
+}
+
+function validateItemFields(fields) {
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+        return 'Название товара не может быть пустым';
+    }
+    if (fields.price !== undefined && (typeof fields.price !== 'number' || fields.price < 0)) {
+        return 'Цена должна быть неотрицательным числом';
+    }
+    if (fields.stock !== undefined && (!Number.isInteger(fields.stock) || fields.stock < -1)) {
+        return 'Количество должно быть целым числом, -1 означает бесконечный запас';
+    }
+    if (fields.maxStock !== undefined && fields.maxStock !== null && (!Number.isInteger(fields.maxStock) || fields.maxStock < 0)) {
+        return 'Максимальный запас должен быть неотрицательным целым числом';
+    }
+    if (fields.unique !== undefined && typeof fields.unique !== 'boolean') {
+        return 'Поле unique должно быть true или false';
+    }
+    if (fields.discount !== undefined && !isValidPercentage(fields.discount)) {
+        return 'Скидка должна быть числом от 0 до 100';
+    }
+    for (const field of ['perUserLimit', 'perDayLimit']) {
+        if (fields[field] !== undefined && fields[field] !== null && (!Number.isInteger(fields[field]) || fields[field] < 1)) {
+            return 'Лимиты покупок должны быть положительными целыми числами';
+        }
+    }
+    if (fields.effect !== undefined && fields.effect !== null) {
+        return validateItemEffect(fields.effect);
+    }
+    return null;
+}
+
+function validateItemEffect(effect) {
+    if (effect.kind === 'boost') {
+        return effect.percentage > 0 && effect.durationMinutes > 0 ? null : 'Для буста укажите процент и длительность';
+    }
+    if (effect.kind === 'lootbox') {
+        return ['regular', 'epic', 'legendary'].includes(effect.rarity) ? null : 'Для лутбокса укажите редкость';
+    }
+    if (effect.kind === 'role') {
+        return effect.roleId ? null : 'Для роли укажите roleId';
+    }
+    if (effect.kind === 'generator') {
+        return effect.ratePerHour > 0 && effect.storageCap > 0 ? null : 'Для генератора укажите доход в час и вместимость';
+    }
+    return 'Неизвестный тип эффекта';
+}
+
+// maxStock - потолок запаса, поэтому проверяется на итоговых значениях товара
+function validateStockCeiling(item) {
+    if (item.maxStock != null && item.stock !== -1 && item.stock > item.maxStock) {
+        return 'Запас не может превышать максимальный';
+    }
+    return null;
+}
+
+function isValidPercentage(value) {
+    return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+function parseDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function itemSnapshot(item) {
+    if (!item) return null;
+    const source = typeof item.toObject === 'function' ? item.toObject() : item;
+    const snapshot = { hidden: Boolean(source.hidden) };
+    for (const field of EDITABLE_ITEM_FIELDS) {
+        snapshot[field] = source[field] === undefined ? null : source[field];
+    }
+    return snapshot;
+}
+
+async function logShopChange(req, action, item, before, after, session = null) {
+    await ShopAuditLog.create([{
+        guildId: req.guildConfig.guildId,
+        actorId: req.user.userId,
+        actorName: req.user.username,
+        action,
+        itemId: item._id.toString(),
+        itemName: item.name,
+        before,
+        after
+    }], { session });
+}
+
+async function findGuildItem(req, res, session = null) {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400).json({ error: 'Некорректный идентификатор товара' });
+        return null;
+    }
+    const item = await Item.findOne({ _id: req.params.id, guildId: req.guildConfig.guildId }).session(session);
+    if (!item) {
+        res.status(404).json({ error: 'Товар не найден' });
+        return null;
+    }
+    return item;
+}
+
+app.get('/admin/shop/items', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    try {
+        const items = await Item.find({ guildId: req.guildConfig.guildId }).select('-__v').lean();
+        res.json(items);
+    } catch (error) {
+        console.error('Ошибка при получении товаров:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.get('/admin/shop/audit', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+        const entries = await ShopAuditLog.find({ guildId: req.guildConfig.guildId })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('-__v')
+            .lean();
+        res.json(entries);
+    } catch (error) {
+        console.error('Ошибка при получении журнала магазина:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.post('/admin/shop/items', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    const fields = pickItemFields(req.body);
+    const validationError = validateItemFields(fields) || (fields.name === undefined || fields.price === undefined ? 'Укажите название и цену товара' : null);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const item = new Item({ stock: -1, unique: false, ...fields, guildId: req.guildConfig.guildId });
+    const ceilingError = validateStockCeiling(item);
+    if (ceilingError) {
+        return res.status(400).json({ error: ceilingError });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        await item.save({ session });
+        await logShopChange(req, 'create', item, null, itemSnapshot(item), session);
+
+        await session.commitTransaction();
+        res.status(201).json(item);
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Ошибка при создании товара:', error);
+        res.status(500).json({ error: 'Ошибка при создании товара' });
+    } finally {
+        session.endSession();
+    }
+});
+
+app.put('/admin/shop/items/:id', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    const fields = pickItemFields(req.body);
+    const validationError = validateItemFields(fields);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const item = await findGuildItem(req, res, session);
+        if (!item) {
+            await session.abortTransaction();
+            return;
+        }
+
+        const before = itemSnapshot(item);
+        item.set(fields);
+        const ceilingError = validateStockCeiling(item);
+        if (ceilingError) {
+            await session.abortTransaction();
+            return res.status(400).json({ error: ceilingError });
+        }
+        await item.save({ session });
+        await logShopChange(req, 'update', item, before, itemSnapshot(item), session);
+
+        await session.commitTransaction();
+        res.json(item);
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Ошибка при изменении товара:', error);
+        res.status(500).json({ error: 'Ошибка при изменении товара' });
+    } finally {
+        session.endSession();
+    }
+});
+
+app.post('/admin/shop/items/:id/hide', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const item = await findGuildItem(req, res, session);
+        if (!item) {
+            await session.abortTransaction();
+            return;
+        }
+
+        const hidden = req.body.hidden !== false;
+        const before = itemSnapshot(item);
+        item.hidden = hidden;
+        await item.save({ session });
+        await logShopChange(req, hidden ? 'hide' : 'show', item, before, itemSnapshot(item), session);
+
+        await session.commitTransaction();
+        res.json(item);
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Ошибка при скрытии товара:', error);
+        res.status(500).json({ error: 'Ошибка при скрытии товара' });
+    } finally {
+        session.endSession();
+    }
+});
+
+app.post('/admin/shop/items/:id/restock', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    const amount = req.body.amount;
+    if (!Number.isInteger(amount) || amount < 1) {
+        return res.status(400).json({ error: 'Укажите положительное количество для пополнения' });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const item = await findGuildItem(req, res, session);
+        if (!item) {
+            await session.abortTransaction();
+            return;
         }
+        if (item.stock === -1) {
+            await session.abortTransaction();
+            return res.status(400).json({ error: 'У товара бесконечный запас' });
+        }
+
+        // Пополняем одним условным запросом, чтобы не затереть списание от параллельной покупки
+        const before = await Item.findOneAndUpdate(
+            {
+                _id: item._id,
+                stock: { $ne: -1 },
+                $or: [{ maxStock: null }, { $expr: { $lt: ['$stock', '$maxStock'] } }]
+            },
+            [{
+                $set: {
+                    stock: {
+                        $cond: [
+                            { $eq: [{ $ifNull: ['$maxStock', null] }, null] },
+                            { $add: ['$stock', amount] },
+                            { $min: [{ $add: ['$stock', amount] }, '$maxStock'] }
+                        ]
+                    }
+                }
+            }],
+            { session }
+        );
+        if (!before) {
+            await session.abortTransaction();
+            return res.status(400).json({ error: 'Запас уже максимальный', reason: 'MAX_STOCK_REACHED' });
+        }
+
+        const restocked = before.maxStock != null ? Math.min(before.stock + amount, before.maxStock) : before.stock + amount;
+        const updated = before.toObject();
+        updated.stock = restocked;
+        await logShopChange(req, 'restock', before, itemSnapshot(before), itemSnapshot(updated), session);
+
+        await session.commitTransaction();
+        res.json(updated);
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Ошибка при пополнении товара:', error);
+        res.status(500).json({ error: 'Ошибка при пополнении товара' });
+    } finally {
+        session.endSession();
+    }
+});
+
+app.delete('/admin/shop/items/:id', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const item = await findGuildItem(req, res, session);
+        if (!item) {
+            await session.abortTransaction();
+            return;
+        }
+
+        const before = itemSnapshot(item);
+        await item.deleteOne({ session });
+        await logShopChange(req, 'delete', item, before, null, session);
+
+        await session.commitTransaction();
+        res.json({ message: `Товар ${item.name} удалён` });
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Ошибка при удалении товара:', error);
+        res.status(500).json({ error: 'Ошибка при удалении товара' });
+    } finally {
+        session.endSession();
+    }
+});
+
+app.get('/admin/sales', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    try {
+        const sales = await Sale.find({ guildId: req.guildConfig.guildId }).sort({ startsAt: -1 }).select('-__v').lean();
+        res.json(sales);
+    } catch (error) {
+        console.error('Ошибка при получении распродаж:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.post('/admin/sales', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    try {
+        const { name, percentage, itemIds = [], stackable = true } = req.body;
+        const startsAt = parseDate(req.body.startsAt);
+        const endsAt = parseDate(req.body.endsAt);
+
+        if (!name || !isValidPercentage(percentage)) {
+            return res.status(400).json({ error: 'Укажите название и скидку от 0 до 100' });
+        }
+        if (!startsAt || !endsAt || endsAt <= startsAt) {
+            return res.status(400).json({ error: 'Укажите корректные даты начала и окончания' });
+        }
+
+        const sale = await Sale.create({ guildId: req.guildConfig.guildId, name, percentage, itemIds, stackable, startsAt, endsAt });
+        res.status(201).json(sale);
+    } catch (error) {
+        console.error('Ошибка при создании распродажи:', error);
+        res.status(500).json({ error: 'Ошибка при создании распродажи' });
+    }
+});
+
+app.delete('/admin/sales/:id', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Некорректный идентификатор распродажи' });
+        }
+        const result = await Sale.deleteOne({ _id: req.params.id, guildId: req.guildConfig.guildId });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Распродажа не найдена' });
+        }
+        res.json({ message: 'Распродажа удалена' });
+    } catch (error) {
+        console.error('Ошибка при удалении распродажи:', error);
+        res.status(500).json({ error: 'Ошибка при удалении распродажи' });
+    }
+});
+
+app.get('/admin/promo-codes', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    try {
+        const promoCodes = await PromoCode.find({ guildId: req.guildConfig.guildId }).select('-__v -usedBy').lean();
+        res.json(promoCodes);
+    } catch (error) {
+        console.error('Ошибка при получении промокодов:', error);
+        res.status(500).json({ error: 'Ошибка сервера' });
+    }
+});
+
+app.post('/admin/promo-codes', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    try {
+        const { code, percentage, itemIds = [], stackable = true, maxUses = null, maxUsesPerUser = 1 } = req.body;
+        const startsAt = parseDate(req.body.startsAt);
+        const expiresAt = parseDate(req.body.expiresAt);
+
+        if (!code || !isValidPercentage(percentage)) {
+            return res.status(400).json({ error: 'Укажите код и скидку от 0 до 100' });
+        }
+        if (startsAt === undefined || expiresAt === undefined) {
+            return res.status(400).json({ error: 'Некорректная дата' });
+        }
+        if ((maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) || !Number.isInteger(maxUsesPerUser) || maxUsesPerUser < 1) {
+            return res.status(400).json({ error: 'Лимиты использований должны быть положительными целыми числами' });
+        }
+
+        const normalizedCode = normalizePromoCode(code);
+        if (await PromoCode.exists({ guildId: req.guildConfig.guildId, code: normalizedCode })) {
+            return res.status(409).json({ error: 'Такой промокод уже существует' });
+        }
+
+        const promoCode = await PromoCode.create({
+            guildId: req.guildConfig.guildId,
+            code: normalizedCode,
+            percentage,
+            itemIds,
+            stackable,
+            maxUses,
+            maxUsesPerUser,
+            startsAt,
+            expiresAt
+        });
+        res.status(201).json(promoCode);
+    } catch (error) {
+        console.error('Ошибка при создании промокода:', error);
+        res.status(500).json({ error: 'Ошибка при создании промокода' });
+    }
+});
+
+app.post('/admin/promo-codes/:code/disable', ensureAuthenticated, resolveGuild, ensureAdmin, async (req, res) => {
+    try {
+        const result = await PromoCode.updateOne(
+            { guildId: req.guildConfig.guildId, code: normalizePromoCode(req.params.code) },
+            { $set: { enabled: false } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'Промокод не найден' });
+        }
+        res.json({ message: 'Промокод отключён' });
+    } catch (error) {
+        console.error('Ошибка при отключении промокода:', error);
+        res.status(500).json({ error: 'Ошибка при отключении промокода' });
+    }
+});
+
+app.get('/auth/discord', (req, res, next) => {
+    passport.authenticate('discord')(req, res, next)
+});
+
+app.get('/auth/callback',
+    passport.authenticate('discord', { failureRedirect: '/' }), 
+    (req, res) => {
+        res.redirect(FRONTEND_URL);
     }
 );
 
@@ -502,7 +1984,7 @@ app.get('/logout', (req, res) => {
             console.error('Ошибка при выходе из системы:', err);
             return res.status(500).send('Ошибка при выходе из системы');
         }
-        res.redirect('/');
+        res.redirect(FRONTEND_URL);
     });
 });
 
@@ -528,8 +2010,111 @@ app.listen(PORT, () => {
     console.log(`🚀 API сервер запущен на порту ${PORT}`);
 });
 
+setInterval(() => {
+    rollupWindows()
+        .then(({ updated }) => {
+            if (updated > 0) {
+                console.log(`Скользящие окна пересчитаны у ${updated} пользователей`);
+            }
+        })
+        .catch(err => console.error('Ошибка пересчёта скользящих окон:', err));
+}, ROLLUP_INTERVAL);
+
+setInterval(() => {
+    expireBoosts()
+        .then(count => {
+            if (count > 0) {
+                console.log(`Истекло бустов: ${count}`);
+            }
+        })
+        .catch(err => console.error('Ошибка обработки истёкших бустов:', err));
+}, BOOST_SWEEP_INTERVAL);
+
+setInterval(() => {
+    syncAllRoleHistory()
+        .then(synced => console.log(`История ролей синхронизирована у ${synced} пользователей`))
+        .catch(err => console.error('Ошибка синхронизации истории ролей:', err));
+}, ROLE_SYNC_INTERVAL);
+
+setInterval(() => {
+    const startedAt = Date.now();
+    refreshRankSnapshot()
+        .then(() => {
+            const elapsed = Date.now() - startedAt;
+            if (elapsed >= RANK_SNAPSHOT_SLOW_MS) {
+                console.warn(`Снимок мест пересчитывался долго: ${elapsed} мс`);
+            }
+        })
+        .catch(err => console.error('Ошибка пересчёта снимка мест:', err));
+}, RANK_SNAPSHOT_INTERVAL);
+
+setInterval(() => {
+    takeSnapshotIfDue()
+        .then(taken => {
+            if (taken) {
+                console.log('Сохранён снимок таблиц лидеров');
+            }
+        })
+        .catch(err => console.error('Ошибка сохранения снимка таблиц лидеров:', err));
+}, LEADERBOARD_HISTORY_CHECK_INTERVAL);
+
+setInterval(() => {
+    tickSeasons()
+        .then(({ finalized }) => {
+            if (finalized > 0) {
+                console.log(`Закрыто сезонов: ${finalized}`);
+            }
+        })
+        .catch(err => console.error('Ошибка обработки сезонов:', err));
+}, SEASON_INTERVAL);
+
+setInterval(() => {
+    closeNominations()
+        .then(awarded => {
+            if (awarded > 0) {
+                console.log(`Подведены итоги номинаций: ${awarded}`);
+            }
+        })
+        .catch(err => console.error('Ошибка подведения итогов номинаций:', err));
+}, NOMINATION_INTERVAL);
+
+setInterval(() => {
+    awardAllAchievements()
+        .then(unlocked => {
+            if (unlocked > 0) {
+                console.log(`Открыто достижений: ${unlocked}`);
+            }
+        })
+        .catch(err => console.error('Ошибка проверки достижений:', err));
+}, ACHIEVEMENT_INTERVAL);
+
+client.on('guildAuditLogEntryCreate', (entry, guild) => {
+    recordAuditLogEntry(entry, guild)
+        .catch(err => console.error('Ошибка записи модераторского действия:', err));
+});
+
+// Счётчики сообщений в CommandStats ведёт бот, здесь пополняются только дневные корзины
+client.on('messageCreate', message => {
+    if (!message.guildId || message.author.bot) {
+        return;
+    }
+    recordActivity({ userId: message.author.id, serverId: message.guildId, date: message.createdAt, messages: 1 })
+        .catch(err => console.error('Ошибка записи сообщения в корзину:', err));
+});
+
+client.on('voiceStateUpdate', (oldState, newState) => {
+    handleVoiceStateUpdate(oldState, newState)
+        .then(session => {
+            if (session) {
+                checkAchievementsLater(session.serverId, session.userId);
+            }
+        })
+        .catch(err => console.error('Ошибка записи голосовой сессии:', err));
+});
+
 client.on('ready', () => {
     console.log(`Бот Discord готов к работе: ${client.user.tag}`);
+    resumeVoiceSessions(client.guilds.cache);
 });
 
 client.login(process.env.TOKEN);
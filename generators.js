@@ -0,0 +1,91 @@
+const CommandStats = require('./CommandStats');
+const { applyStarChange } = require('./ledger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Накопление считается по времени с последнего сбора, без фоновых задач. Баланс звёзд целый,
+// поэтому засчитываются только целые звёзды; дробный остаток копится дальше
+function getAccrued(generator, now = new Date()) {
+  const elapsedMs = Math.max(0, now.getTime() - new Date(generator.lastClaimedAt).getTime());
+  const accrued = generator.ratePerHour * elapsedMs / HOUR_MS;
+  return Math.min(generator.storageCap, Math.floor(accrued));
+}
+
+function describeGenerators(generators = [], now = new Date()) {
+  const list = generators.map(generator => {
+    const unclaimed = getAccrued(generator, now);
+    return {
+      id: generator._id,
+      itemId: generator.itemId,
+      name: generator.name,
+      ratePerHour: generator.ratePerHour,
+      storageCap: generator.storageCap,
+      acquiredAt: generator.acquiredAt,
+      unclaimed,
+      full: unclaimed >= generator.storageCap,
+    };
+  });
+
+  return {
+    list,
+    totalRatePerHour: list.reduce((total, generator) => total + generator.ratePerHour, 0),
+    totalUnclaimed: list.reduce((total, generator) => total + generator.unclaimed, 0),
+  };
+}
+
+async function addGenerators({ userId, serverId, item, quantity = 1, session = null, now = new Date() }) {
+  const generator = {
+    itemId: item._id.toString(),
+    name: item.name,
+    ratePerHour: item.effect.ratePerHour,
+    storageCap: item.effect.storageCap,
+    acquiredAt: now,
+    lastClaimedAt: now,
+  };
+
+  await CommandStats.updateOne(
+    { userId, serverId },
+    { $push: { generators: { $each: Array.from({ length: quantity }, () => ({ ...generator })) } } },
+    { session }
+  );
+  return { kind: 'generator', name: item.name, ratePerHour: generator.ratePerHour, storageCap: generator.storageCap, quantity };
+}
+
+// Собирает звёзды со всех генераторов; вызывается внутри транзакции
+async function claimGenerators({ userId, serverId, session, now = new Date() }) {
+  const user = await CommandStats.findOne({ userId, serverId }).select('generators').session(session);
+  if (!user) {
+    return null;
+  }
+
+  const { totalUnclaimed } = describeGenerators(user.generators, now);
+  if (totalUnclaimed <= 0) {
+    return { claimed: 0, user };
+  }
+
+  user.generators.forEach(generator => {
+    const claimed = getAccrued(generator, now);
+    if (claimed === 0) {
+      return;
+    }
+    // Полный генератор дальше не копил, а у остальных сбор сдвигается ровно на собранные звёзды,
+    // чтобы дробная часть не пропадала
+    generator.lastClaimedAt = claimed >= generator.storageCap
+      ? now
+      : new Date(new Date(generator.lastClaimedAt).getTime() + claimed / generator.ratePerHour * HOUR_MS);
+  });
+  await user.save({ session });
+
+  const { user: updated } = await applyStarChange({
+    userId,
+    serverId,
+    amount: totalUnclaimed,
+    type: 'generator',
+    note: `Сбор с генераторов (${user.generators.length} шт.)`,
+    session,
+  });
+
+  return { claimed: totalUnclaimed, user: updated };
+}
+
+module.exports = { getAccrued, describeGenerators, addGenerators, claimGenerators };
@@ -0,0 +1,26 @@
+const GuildConfig = require('./GuildConfig');
+
+const DEFAULT_GUILD_ID = process.env.DEFAULT_GUILD_ID || '1043562997966188645';
+const CONFIG_TTL = 60 * 1000;
+
+let configCache = {};
+
+async function getGuildConfig(guildId) {
+  const cached = configCache[guildId];
+  if (cached && Date.now() - cached.timestamp < CONFIG_TTL) {
+    return cached.data;
+  }
+  const data = await GuildConfig.findOne({ guildId }).select('-__v').lean();
+  configCache[guildId] = { data, timestamp: Date.now() };
+  return data;
+}
+
+function getStaffRoleIds(config) {
+  return config.staffRoles.map(role => role.roleId);
+}
+
+function getAdminRoleIds(config) {
+  return config.staffRoles.filter(role => role.isAdmin).map(role => role.roleId);
+}
+
+module.exports = { DEFAULT_GUILD_ID, getGuildConfig, getStaffRoleIds, getAdminRoleIds };
@@ -0,0 +1,37 @@
+const Inventory = require('./inventory');
+
+async function addInventoryItem({ userId, guildId, item, quantity, session = null }) {
+  const itemId = item._id.toString();
+  const updated = await Inventory.updateOne(
+    { userId, guildId, 'items.itemId': itemId },
+    { $inc: { 'items.$.quantity': quantity } },
+    { session }
+  );
+  if (updated.matchedCount === 0) {
+    await Inventory.updateOne(
+      { userId, guildId },
+      { $push: { items: { itemId, itemName: item.name, quantity } } },
+      { upsert: true, session }
+    );
+  }
+}
+
+// Атомарно списывает quantity штук; возвращает false, если столько предметов нет
+async function takeInventoryItem({ userId, guildId, itemId, quantity = 1, session = null }) {
+  const inventory = await Inventory.findOneAndUpdate(
+    { userId, guildId, items: { $elemMatch: { itemId, quantity: { $gte: quantity } } } },
+    { $inc: { 'items.$.quantity': -quantity } },
+    { new: true, session }
+  );
+  if (!inventory) {
+    return false;
+  }
+  await Inventory.updateOne(
+    { _id: inventory._id },
+    { $pull: { items: { itemId, quantity: { $lte: 0 } } } },
+    { session }
+  );
+  return true;
+}
+
+module.exports = { addInventoryItem, takeInventoryItem };
@@ -0,0 +1,90 @@
+const CommandStats = require('./CommandStats');
+const { addMemberRole } = require('./discordApi');
+const { applyBoost } = require('./boosts');
+const { addGenerators } = require('./generators');
+
+const LOOTBOX_COUNTERS = {
+  regular: 'regularLootboxCount',
+  epic: 'epicLootboxCount',
+  legendary: 'legendaryLootboxCount',
+};
+
+async function applyBoostEffect({ userId, guildId, effect, reason, session }) {
+  const boost = await applyBoost({
+    userId,
+    serverId: guildId,
+    percentage: effect.percentage,
+    durationMinutes: effect.durationMinutes,
+    source: reason,
+    session,
+  });
+  return { kind: 'boost', ...boost };
+}
+
+async function applyLootboxEffect({ userId, guildId, effect, session }) {
+  const counter = LOOTBOX_COUNTERS[effect.rarity];
+  await CommandStats.updateOne(
+    { userId, serverId: guildId },
+    { $inc: { [counter]: 1, totalLootboxCount: 1 } },
+    { session }
+  );
+  return { kind: 'lootbox', rarity: effect.rarity };
+}
+
+// Сама роль выдаётся в Discord только после коммита транзакции (grantEffectRole)
+async function applyRoleEffect({ effect }) {
+  return { kind: 'role', roleId: effect.roleId };
+}
+
+const effectHandlers = {
+  boost: applyBoostEffect,
+  lootbox: applyLootboxEffect,
+  role: applyRoleEffect,
+};
+
+// Эти эффекты срабатывают сразу при покупке и не попадают в инвентарь
+const PURCHASE_EFFECTS = ['boost', 'generator'];
+
+function isUsable(item) {
+  return Boolean(item && item.effect && effectHandlers[item.effect.kind]);
+}
+
+async function applyEffect({ userId, guildId, effect, reason, session }) {
+  return effectHandlers[effect.kind]({ userId, guildId, effect, reason, session });
+}
+
+function isAppliedOnPurchase(item) {
+  return Boolean(item && item.effect && PURCHASE_EFFECTS.includes(item.effect.kind));
+}
+
+async function applyPurchaseEffect({ userId, guildId, item, quantity, session }) {
+  const reason = `Куплен предмет ${item.name}`;
+  if (item.effect.kind === 'boost') {
+    const effect = { kind: 'boost', percentage: item.effect.percentage, durationMinutes: item.effect.durationMinutes * quantity };
+    return applyEffect({ userId, guildId, effect, reason, session });
+  }
+  return addGenerators({ userId, serverId: guildId, item, quantity, session });
+}
+
+// Применяет эффект предмета; вызывается внутри транзакции, которая уже списала предмет
+async function applyItemEffect({ userId, guildId, item, session }) {
+  return applyEffect({ userId, guildId, effect: item.effect, reason: `Использован предмет ${item.name}`, session });
+}
+
+// Выдаёт роль из применённого эффекта; вызывается после commitTransaction, чтобы откат транзакции не оставлял роль.
+// Если Discord отказал, compensate возвращает списанное. Возвращает false, если роль выдать не удалось
+async function grantEffectRole({ userId, guildId, effect, reason, compensate }) {
+  if (!effect || effect.kind !== 'role') {
+    return true;
+  }
+  try {
+    await addMemberRole(guildId, userId, effect.roleId, reason);
+    return true;
+  } catch (error) {
+    console.error('Ошибка при выдаче роли:', error);
+    await compensate().catch(err => console.error('Ошибка при возврате списанного за невыданную роль:', err));
+    return false;
+  }
+}
+
+module.exports = { LOOTBOX_COUNTERS, isUsable, isAppliedOnPurchase, applyEffect, applyPurchaseEffect, applyItemEffect, grantEffectRole };
@@ -0,0 +1,87 @@
+const CommandStats = require('./CommandStats');
+const LeaderboardSnapshot = require('./LeaderboardSnapshot');
+const { RANKED_FIELDS, listedValuesProjection, listedRanksProjection, rankWindowStages } = require('./ranks');
+
+const SNAPSHOT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Стрелки в таблице показывают изменение места относительно снимка недельной давности
+const CHANGE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Снимок всех таблиц лидеров одной агрегацией. Места считаются так же, как в /leaderboard:
+// скрывшие себя не участвуют, а скрывшие баланс или статистику модерации не получают мест в этих таблицах
+async function takeLeaderboardSnapshot(now = new Date()) {
+  await CommandStats.aggregate([
+    { $match: { 'privacy.listedOnLeaderboards': { $ne: false } } },
+    { $project: { userId: 1, serverId: 1, ...listedValuesProjection() } },
+    ...rankWindowStages(RANKED_FIELDS),
+    {
+      $project: {
+        _id: 0,
+        userId: 1,
+        serverId: 1,
+        ranks: listedRanksProjection(),
+        takenAt: { $literal: now },
+      },
+    },
+    { $merge: { into: LeaderboardSnapshot.collection.name, whenMatched: 'fail', whenNotMatched: 'insert' } },
+  ]).allowDiskUse(true);
+}
+
+// Делает снимок, если с предыдущего прошло не меньше SNAPSHOT_INTERVAL_MS
+async function takeSnapshotIfDue(now = new Date()) {
+  const latest = await LeaderboardSnapshot.findOne().sort({ takenAt: -1 }).select('takenAt').lean();
+  if (latest && now - latest.takenAt < SNAPSHOT_INTERVAL_MS) {
+    return false;
+  }
+  await takeLeaderboardSnapshot(now);
+  return true;
+}
+
+// Снимок, с которым сравниваются места: последний не моложе недели, а пока истории меньше недели - самый ранний
+async function getBaselineTakenAt(serverId, now = new Date()) {
+  const cutoff = new Date(now.getTime() - CHANGE_WINDOW_MS);
+  const baseline = await LeaderboardSnapshot.findOne({ serverId, takenAt: { $lte: cutoff } }).sort({ takenAt: -1 }).select('takenAt').lean()
+    || await LeaderboardSnapshot.findOne({ serverId }).sort({ takenAt: 1 }).select('takenAt').lean();
+  return baseline ? baseline.takenAt : null;
+}
+
+// Добавляет к строкам таблицы change: { trend: 'up' | 'down' | 'same' | 'new', delta, previousRank }.
+// delta > 0 - участник поднялся. Пока снимков нет, change равен null
+async function attachRankChanges({ serverId, field, rows, now = new Date() }) {
+  const since = await getBaselineTakenAt(serverId, now);
+  if (!since) {
+    return { since: null, rows: rows.map(row => ({ ...row, change: null })) };
+  }
+
+  const previous = await LeaderboardSnapshot.find({ serverId, takenAt: since, userId: { $in: rows.map(row => row.userId) } })
+    .select(`userId ranks.${field}`)
+    .lean();
+  const previousRanks = new Map(previous.map(snapshot => [snapshot.userId, snapshot.ranks && snapshot.ranks[field]]));
+
+  return {
+    since,
+    rows: rows.map(row => {
+      const previousRank = previousRanks.get(row.userId);
+      if (!previousRank) {
+        return { ...row, change: { trend: 'new', delta: null, previousRank: null } };
+      }
+      const delta = previousRank - row.rank;
+      return { ...row, change: { trend: delta > 0 ? 'up' : delta < 0 ? 'down' : 'same', delta, previousRank } };
+    }),
+  };
+}
+
+// Место участника в одной таблице по всем снимкам начиная с from
+async function getRankHistory({ serverId, userId, field, from }) {
+  const snapshots = await LeaderboardSnapshot.find({ serverId, userId, takenAt: { $gte: from } })
+    .sort({ takenAt: 1 })
+    .select(`takenAt ranks.${field}`)
+    .lean();
+  return snapshots.map(snapshot => ({ takenAt: snapshot.takenAt, rank: (snapshot.ranks && snapshot.ranks[field]) || null }));
+}
+
+// Участник убрал себя из таблиц лидеров: прежние места тоже больше не показываются
+async function forgetRankHistory(userId) {
+  await LeaderboardSnapshot.deleteMany({ userId });
+}
+
+module.exports = { SNAPSHOT_INTERVAL_MS, CHANGE_WINDOW_MS, takeLeaderboardSnapshot, takeSnapshotIfDue, getBaselineTakenAt, attachRankChanges, getRankHistory, forgetRankHistory };
@@ -0,0 +1,88 @@
+const CommandStats = require('./CommandStats');
+
+// Метрика -> период -> поле CommandStats
+const LEADERBOARD_METRICS = {
+  messages: { all: 'totalMessages', today: 'messagesToday', '7d': 'messagesLast7Days', '30d': 'messagesLast30Days' },
+  voice: { all: 'voiceTime', today: 'voiceTimeToday', '7d': 'voiceLast7Days', '30d': 'voiceLast30Days' },
+  stars: { all: 'stars' },
+  mutes: { all: 'muteCount', today: 'muteCountToday', '7d': 'muteCountLast7Days', '30d': 'muteCountLast30Days' },
+  kicks: { all: 'kickCount', '7d': 'kickCountLast7Days', '30d': 'kickCountLast30Days' },
+  bans: { all: 'banCount', '7d': 'banCountLast7Days', '30d': 'banCountLast30Days' },
+};
+
+// Старый параметр sortBy -> метрика
+const LEGACY_SORT_METRICS = {
+  totalMessages: 'messages',
+  voiceTime: 'voice',
+  stars: 'stars',
+};
+
+function resolveLeaderboardField(metric, period) {
+  const periods = LEADERBOARD_METRICS[metric];
+  return periods ? periods[period] || null : null;
+}
+
+// Метрики модерации, которые скрывает настройка staffStats
+const STAFF_METRICS = ['mutes', 'kicks', 'bans'];
+
+// Скрывшие себя не попадают в таблицы, скрывшие баланс - в таблицу по звёздам,
+// а скрывшие статистику модерации - в таблицы мьютов, киков и банов
+function leaderboardFilter(serverId, metric) {
+  const filter = { serverId, 'privacy.listedOnLeaderboards': { $ne: false } };
+  if (metric === 'stars') {
+    filter['privacy.balance'] = { $in: [null, 'public'] };
+  }
+  if (STAFF_METRICS.includes(metric)) {
+    filter['privacy.staffStats'] = { $in: [null, 'public'] };
+  }
+  return filter;
+}
+
+// Позиция записи в отсортированной таблице (с нуля); при равных значениях порядок задаёт _id
+async function getPosition(filter, field, user) {
+  const value = user[field] || 0;
+  return CommandStats.countDocuments({
+    ...filter,
+    $or: [
+      { [field]: { $gt: value } },
+      { [field]: value, _id: { $lt: user._id } },
+    ],
+  });
+}
+
+// Страница отсортированной выборки model с абсолютными местами: равные значения делят одно место (1, 2, 2, 4)
+async function getRankedPage(model, filter, field, offset, limit) {
+  const [rows, total] = await Promise.all([
+    model.find(filter)
+      .sort({ [field]: -1, _id: 1 })
+      .skip(offset)
+      .limit(limit)
+      .select(`userId username ${field}`)
+      .lean(),
+    model.countDocuments(filter),
+  ]);
+
+  let rank = 0;
+  let previousValue = null;
+  const data = [];
+  for (const [index, row] of rows.entries()) {
+    const value = row[field] || 0;
+    if (index === 0) {
+      rank = await model.countDocuments({ ...filter, [field]: { $gt: value } }) + 1;
+    } else if (value !== previousValue) {
+      rank = offset + index + 1;
+    }
+    previousValue = value;
+    data.push({ rank, userId: row.userId, username: row.username, value });
+  }
+
+  return { total, data };
+}
+
+async function getLeaderboardPage({ serverId, metric, period, offset, limit }) {
+  const field = resolveLeaderboardField(metric, period);
+  const { total, data } = await getRankedPage(CommandStats, leaderboardFilter(serverId, metric), field, offset, limit);
+  return { field, total, data };
+}
+
+module.exports = { LEADERBOARD_METRICS, LEGACY_SORT_METRICS, STAFF_METRICS, resolveLeaderboardField, leaderboardFilter, getPosition, getRankedPage, getLeaderboardPage };
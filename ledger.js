@@ -0,0 +1,33 @@
+const CommandStats = require('./CommandStats');
+const StarTransaction = require('./StarTransaction');
+
+// Единственное место, где меняется баланс звёзд: атомарный $inc и запись в журнал.
+// Возвращает null, если после списания баланс ушёл бы в минус.
+async function applyStarChange({ userId, serverId, amount, type, item = null, actorId = null, note = null, refundOf = null, session = null }) {
+  const filter = { userId, serverId };
+  if (amount < 0) {
+    filter.stars = { $gte: -amount };
+  }
+
+  const user = await CommandStats.findOneAndUpdate(filter, { $inc: { stars: amount } }, { new: true, session });
+  if (!user) {
+    return null;
+  }
+
+  const [transaction] = await StarTransaction.create([{
+    userId,
+    serverId,
+    type,
+    amount,
+    balanceBefore: user.stars - amount,
+    balanceAfter: user.stars,
+    item,
+    actorId,
+    note,
+    refundOf,
+  }], { session });
+
+  return { user, transaction };
+}
+
+module.exports = { applyStarChange };
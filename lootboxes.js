@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CommandStats = require('./CommandStats');
+const Item = require('./Item');
+const LootTable = require('./LootTable');
+const LootboxSeed = require('./LootboxSeed');
+const LootboxOpening = require('./LootboxOpening');
+const { applyStarChange } = require('./ledger');
+const { addInventoryItem } = require('./inventoryItems');
+const { LOOTBOX_COUNTERS, applyEffect } = require('./itemEffects');
+
+function hashSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+// Детерминированный бросок в [0, 1): HMAC-SHA256(serverSeed, "userId:nonce"), первые 52 бита
+function rollFromSeed(serverSeed, userId, nonce) {
+  const hex = crypto.createHmac('sha256', serverSeed).update(`${userId}:${nonce}`).digest('hex');
+  return parseInt(hex.slice(0, 13), 16) / Math.pow(2, 52);
+}
+
+function pickEntryIndex(entries, roll) {
+  const totalWeight = entries.reduce((total, entry) => total + entry.weight, 0);
+  let target = roll * totalWeight;
+  for (let index = 0; index < entries.length; index++) {
+    target -= entries[index].weight;
+    if (target < 0) {
+      return index;
+    }
+  }
+  return entries.length - 1;
+}
+
+async function createSeed(userId, serverId, session = null) {
+  const serverSeed = crypto.randomBytes(32).toString('hex');
+  const [seed] = await LootboxSeed.create([{ userId, serverId, serverSeed, serverSeedHash: hashSeed(serverSeed) }], { session });
+  return seed;
+}
+
+// Активный сид у пользователя один (уникальный частичный индекс), поэтому при гонке его создание падает с E11000
+const SEED_RETRIES = 3;
+
+// В транзакции повторить создание нельзя, поэтому /lootboxes/open заводит сид заранее, без сессии
+async function getActiveSeed(userId, serverId, session = null) {
+  const seed = await LootboxSeed.findOne({ userId, serverId, active: true }).session(session);
+  if (seed) {
+    return seed;
+  }
+  try {
+    return await createSeed(userId, serverId, session);
+  } catch (error) {
+    if (error.code === 11000 && !session) {
+      return LootboxSeed.findOne({ userId, serverId, active: true }); // Сид уже создал параллельный запрос
+    }
+    throw error;
+  }
+}
+
+// Раскрывает текущий сид и заводит новый одной транзакцией; старые открытия после этого можно проверить
+async function rotateSeed(userId, serverId) {
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const revealed = await LootboxSeed.findOneAndUpdate(
+        { userId, serverId, active: true },
+        { $set: { active: false, revealedAt: new Date() } },
+        { new: true, session }
+      );
+      const next = await createSeed(userId, serverId, session);
+      await session.commitTransaction();
+      return { revealed, next };
+    } catch (error) {
+      await session.abortTransaction();
+      if (error.code !== 11000 || attempt >= SEED_RETRIES) {
+        throw error;
+      }
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+async function grantReward({ userId, serverId, entry, rarity, session }) {
+  const reason = `Лутбокс (${rarity})`;
+
+  if (entry.kind === 'stars') {
+    await applyStarChange({ userId, serverId, amount: entry.amount, type: 'lootbox', note: reason, session });
+  } else if (entry.kind === 'item') {
+    const item = await Item.findOne({ _id: entry.itemId, guildId: serverId }).session(session);
+    if (!item) {
+      throw new Error(`Loot table item ${entry.itemId} not found`);
+    }
+    await addInventoryItem({ userId, guildId: serverId, item, quantity: 1, session });
+  } else {
+    await applyEffect({ userId, guildId: serverId, effect: entry, reason, session });
+  }
+
+  return { kind: entry.kind, label: entry.label, amount: entry.amount, itemId: entry.itemId, percentage: entry.percentage, durationMinutes: entry.durationMinutes, roleId: entry.roleId };
+}
+
+class LootboxError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Должна вызываться внутри транзакции: списание лутбокса, nonce и награда фиксируются вместе
+async function openLootbox({ userId, serverId, rarity, session }) {
+  const counter = LOOTBOX_COUNTERS[rarity];
+  if (!counter) {
+    throw new LootboxError('UNKNOWN_RARITY', 'Неизвестная редкость лутбокса');
+  }
+
+  const table = await LootTable.findOne({ guildId: serverId, rarity }).session(session).lean();
+  if (!table || table.entries.length === 0) {
+    throw new LootboxError('NO_LOOT_TABLE', 'Для этого лутбокса не настроены награды');
+  }
+
+  const user = await CommandStats.findOneAndUpdate(
+    { userId, serverId, [counter]: { $gte: 1 } },
+    { $inc: { [counter]: -1, totalLootboxCount: -1 } },
+    { new: true, session }
+  );
+  if (!user) {
+    throw new LootboxError('NO_LOOTBOX', 'У вас нет такого лутбокса');
+  }
+
+  const activeSeed = await getActiveSeed(userId, serverId, session);
+  const seed = await LootboxSeed.findByIdAndUpdate(activeSeed._id, { $inc: { nonce: 1 } }, { new: false, session });
+  const nonce = seed.nonce;
+
+  const entries = table.entries.map(({ _id, ...entry }) => entry);
+  const roll = rollFromSeed(seed.serverSeed, userId, nonce);
+  const entryIndex = pickEntryIndex(entries, roll);
+  const reward = await grantReward({ userId, serverId, entry: entries[entryIndex], rarity, session });
+
+  const [opening] = await LootboxOpening.create([{
+    userId,
+    serverId,
+    rarity,
+    seedId: seed._id,
+    nonce,
+    roll,
+    entries,
+    entryIndex,
+    reward,
+  }], { session });
+
+  return opening;
+}
+
+// Пересчитывает бросок по сохранённому сиду и сравнивает с записанным результатом
+async function verifyOpening(opening) {
+  const seed = await LootboxSeed.findById(opening.seedId).lean();
+  const roll = rollFromSeed(seed.serverSeed, opening.userId, opening.nonce);
+  const entryIndex = pickEntryIndex(opening.entries, roll);
+  return {
+    seed,
+    roll,
+    entryIndex,
+    matches: hashSeed(seed.serverSeed) === seed.serverSeedHash && roll === opening.roll && entryIndex === opening.entryIndex,
+  };
+}
+
+module.exports = { LootboxError, hashSeed, rollFromSeed, pickEntryIndex, getActiveSeed, rotateSeed, openLootbox, verifyOpening };
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const CommandStats = require('./CommandStats');
+const Item = require('./Item');
+
+// Переносит старое поле boughtEPCGenerators (строка с количеством) в generators[].
+// node migrateGenerators.js [itemId] - без itemId берётся единственный товар-генератор сервера участника.
+// Поле удаляется после переноса, поэтому повторный запуск ничего не дублирует.
+async function migrateGenerators(itemId = null, now = new Date()) {
+  const itemsByGuild = new Map();
+  async function findGeneratorItem(guildId) {
+    if (!itemsByGuild.has(guildId)) {
+      const filter = itemId ? { _id: itemId } : { guildId, 'effect.kind': 'generator' };
+      const items = await Item.find(filter).limit(2).lean();
+      itemsByGuild.set(guildId, items.length === 1 ? items[0] : null);
+    }
+    return itemsByGuild.get(guildId);
+  }
+
+  let migrated = 0;
+  let skipped = 0;
+  let invalid = 0;
+  // Поля нет в схеме, поэтому читаем и правим коллекцию напрямую
+  const cursor = CommandStats.collection.find({ boughtEPCGenerators: { $nin: [null, ''] } });
+
+  for await (const user of cursor) {
+    // Количество - только целое положительное число; остальные значения генераторов не дают
+    const quantity = /^\s*\d+\s*$/.test(String(user.boughtEPCGenerators)) ? parseInt(user.boughtEPCGenerators, 10) : 0;
+    if (quantity <= 0) {
+      console.warn(`Некорректное значение boughtEPCGenerators у ${user.username} (${user.userId}): ${JSON.stringify(user.boughtEPCGenerators)}, поле удалено`);
+      await CommandStats.collection.updateOne({ _id: user._id }, { $unset: { boughtEPCGenerators: '' } });
+      invalid++;
+      continue;
+    }
+
+    const item = await findGeneratorItem(user.serverId);
+    if (!item || !item.effect || item.effect.kind !== 'generator') {
+      console.warn(`Нет товара-генератора для сервера ${user.serverId}, пропущен ${user.username}`);
+      skipped++;
+      continue;
+    }
+
+    const generator = {
+      itemId: item._id.toString(),
+      name: item.name,
+      ratePerHour: item.effect.ratePerHour,
+      storageCap: item.effect.storageCap,
+      acquiredAt: now,
+      lastClaimedAt: now,
+    };
+
+    // Запрос в обход схемы: subdocument _id проставляем сами, а старое поле убираем тем же запросом
+    await CommandStats.collection.updateOne(
+      { _id: user._id },
+      {
+        $push: { generators: { $each: Array.from({ length: quantity }, () => ({ ...generator, _id: new mongoose.Types.ObjectId() })) } },
+        $unset: { boughtEPCGenerators: '' },
+      }
+    );
+    migrated++;
+  }
+
+  return { migrated, skipped, invalid };
+}
+
+module.exports = { migrateGenerators };
+
+if (require.main === module) {
+  require('dotenv').config();
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => migrateGenerators(process.argv[2] || null))
+    .then(({ migrated, skipped, invalid }) => console.log(`Перенесено: ${migrated}, пропущено: ${skipped}, некорректных значений: ${invalid}`))
+    .catch(err => console.error('Ошибка переноса генераторов:', err))
+    .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,118 @@
+const { AuditLogEvent } = require('discord.js');
+const ModerationAction = require('./ModerationAction');
+const { ROLLING_WINDOWS, windowStartKey, recordActivity } = require('./rollup');
+
+// Действие -> метрика ActivityBucket
+const ACTION_METRICS = {
+  mute: 'mutes',
+  unmute: 'unmutes',
+  kick: 'kicks',
+  ban: 'bans',
+  unban: 'unbans',
+};
+
+const TOTAL_FIELDS = {
+  muteCount: 'mute',
+  unmuteCount: 'unmute',
+  kickCount: 'kick',
+  banCount: 'ban',
+  unbanCount: 'unban',
+};
+
+// Вызывается на каждое модераторское действие. С auditLogEntryId запись создаётся только один раз:
+// повтор того же события возвращает null и корзины не увеличивает
+async function recordModerationAction({ serverId, actorId, actorName = null, targetId, targetName = null, action, reason = null, durationSeconds = null, createdAt = new Date(), auditLogEntryId = undefined }) {
+  const fields = { serverId, actorId, actorName, targetId, targetName, action, reason, durationSeconds, createdAt };
+  let entry;
+  if (auditLogEntryId) {
+    try {
+      const result = await ModerationAction.findOneAndUpdate(
+        { auditLogEntryId },
+        { $setOnInsert: { ...fields, auditLogEntryId } },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+      if (result.lastErrorObject.updatedExisting) {
+        return null;
+      }
+      entry = result.value;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null; // Событие уже записал параллельный обработчик
+      }
+      throw error;
+    }
+  } else {
+    entry = await ModerationAction.create(fields);
+  }
+
+  await recordActivity({ userId: actorId, serverId, date: createdAt, [ACTION_METRICS[action]]: 1 });
+  return entry;
+}
+
+// Запись журнала аудита Discord -> действие; тайм-аут считается мьютом. null - запись не про модерацию
+function auditLogEntryToAction(entry) {
+  if (entry.action === AuditLogEvent.MemberBanAdd) return { action: 'ban' };
+  if (entry.action === AuditLogEvent.MemberBanRemove) return { action: 'unban' };
+  if (entry.action === AuditLogEvent.MemberKick) return { action: 'kick' };
+
+  if (entry.action === AuditLogEvent.MemberUpdate) {
+    const timeout = entry.changes.find(change => change.key === 'communication_disabled_until');
+    if (!timeout) return null;
+    if (!timeout.new) return { action: 'unmute' };
+    return { action: 'mute', durationSeconds: Math.max(0, Math.round((new Date(timeout.new) - entry.createdAt) / 1000)) };
+  }
+  return null;
+}
+
+// Обработчик события guildAuditLogEntryCreate
+async function recordAuditLogEntry(entry, guild) {
+  const mapped = auditLogEntryToAction(entry);
+  if (!mapped || !entry.executorId || !entry.targetId) {
+    return null;
+  }
+  return recordModerationAction({
+    serverId: guild.id,
+    actorId: entry.executorId,
+    actorName: entry.executor ? entry.executor.username : null,
+    targetId: entry.targetId,
+    targetName: entry.target && entry.target.username ? entry.target.username : null,
+    reason: entry.reason,
+    createdAt: entry.createdAt,
+    auditLogEntryId: entry.id,
+    ...mapped,
+  });
+}
+
+// Счётчики модератора для профиля: те же поля, что и в CommandStats, посчитанные по журналу.
+// Журнал ведётся не с самого начала, поэтому для каждого поля берётся большее из журнала и сохранённого счётчика.
+async function getStaffCounters(userStats, now = new Date()) {
+  const { userId: actorId, serverId } = userStats;
+  const group = { _id: null };
+
+  for (const [field, action] of Object.entries(TOTAL_FIELDS)) {
+    group[field] = { $sum: { $cond: [{ $eq: ['$action', action] }, 1, 0] } };
+  }
+
+  const actionsByMetric = Object.fromEntries(Object.entries(ACTION_METRICS).map(([action, metric]) => [metric, action]));
+  for (const [field, { metric, days }] of Object.entries(ROLLING_WINDOWS)) {
+    const action = actionsByMetric[metric];
+    if (!action) continue;
+    const windowStart = new Date(windowStartKey(days, now));
+    group[field] = { $sum: { $cond: [{ $and: [{ $eq: ['$action', action] }, { $gte: ['$createdAt', windowStart] }] }, 1, 0] } };
+  }
+
+  const [row] = await ModerationAction.aggregate([
+    { $match: { serverId, actorId } },
+    { $group: group },
+  ]);
+
+  const counters = {};
+  for (const field of Object.keys(group)) {
+    if (field !== '_id') {
+      counters[field] = Math.max(userStats[field] || 0, row ? row[field] : 0);
+    }
+  }
+  return counters;
+}
+
+module.exports = { ACTION_METRICS, recordModerationAction, auditLogEntryToAction, recordAuditLogEntry, getStaffCounters };
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const CommandStats = require('./CommandStats');
+const ActivityBucket = require('./ActivityBucket');
+const BucketCoverage = require('./BucketCoverage');
+const GuildConfig = require('./GuildConfig');
+const Nomination = require('./Nomination');
+const { toDateKey } = require('./rollup');
+
+const NOMINATION_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// Категория -> метрика из ActivityBucket (сообщения пишет клиент бота в API, мьюты - журнал аудита)
+const NOMINATION_CATEGORIES = {
+  messages: 'messages',
+  mutes: 'mutes',
+};
+
+const RUNNER_UP_COUNT = 3;
+
+// Границы периода (UTC), в который попадает date; неделя начинается с понедельника
+function getPeriodRange(period, date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const end = new Date(start);
+
+  if (period === 'weekly') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    end.setTime(start.getTime());
+    end.setUTCDate(end.getUTCDate() + 6);
+  } else if (period === 'monthly') {
+    start.setUTCDate(1);
+    end.setTime(start.getTime());
+    end.setUTCMonth(end.getUTCMonth() + 1, 0);
+  }
+
+  return { periodStart: toDateKey(start), periodEnd: toDateKey(end) };
+}
+
+// Подводит итоги номинации за период, в который попадает date. Идущий период подводить нельзя.
+// Повторный вызов за тот же период ничего не меняет.
+// Счётчики побед (nominationCount и по периодам) ведёт бот, здесь они не трогаются.
+async function awardNomination({ serverId, period, category, date, now = new Date() }) {
+  const { periodStart, periodEnd } = getPeriodRange(period, date);
+  if (periodEnd >= toDateKey(now)) {
+    throw new Error(`Период ${periodStart}..${periodEnd} ещё не закончился`);
+  }
+  const metric = NOMINATION_CATEGORIES[category];
+
+  const existing = await Nomination.findOne({ serverId, period, category, periodStart }).lean();
+  if (existing) {
+    return existing;
+  }
+
+  const standings = await ActivityBucket.aggregate([
+    { $match: { serverId, date: { $gte: periodStart, $lte: periodEnd }, [metric]: { $gt: 0 } } },
+    { $group: { _id: '$userId', value: { $sum: `$${metric}` } } },
+    { $sort: { value: -1, _id: 1 } },
+    { $limit: RUNNER_UP_COUNT + 1 },
+  ]);
+  if (standings.length === 0) {
+    return null;
+  }
+
+  const users = await CommandStats.find({ serverId, userId: { $in: standings.map(row => row._id) } }).select('userId username').lean();
+  const usernames = new Map(users.map(user => [user.userId, user.username]));
+  const [winner, ...runnerUps] = standings.map(row => ({ userId: row._id, username: usernames.get(row._id) || null, value: row.value }));
+
+  try {
+    const nomination = await Nomination.create({ serverId, period, category, periodStart, periodEnd, winner, runnerUps });
+    return nomination.toObject();
+  } catch (error) {
+    if (error.code === 11000) {
+      return Nomination.findOne({ serverId, period, category, periodStart }).lean(); // Итоги уже подвёл параллельный запуск
+    }
+    throw error;
+  }
+}
+
+// Подводит итоги последних закончившихся периодов на всех серверах; запускается по расписанию.
+// Уже подведённые пропускаются, а периоды, которые корзины покрывают не целиком, не подводятся вовсе
+async function closeNominations(now = new Date()) {
+  const yesterday = new Date(now);
+  yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+
+  let awarded = 0;
+  const guilds = await GuildConfig.find({}).select('guildId').lean();
+  for (const { guildId: serverId } of guilds) {
+    const coverage = await BucketCoverage.findOne({ serverId }).lean() || {};
+    for (const period of NOMINATION_PERIODS) {
+      const { periodStart, periodEnd } = getPeriodRange(period, yesterday);
+      if (periodEnd >= toDateKey(now)) {
+        continue; // Период ещё идёт
+      }
+      for (const [category, metric] of Object.entries(NOMINATION_CATEGORIES)) {
+        if (!coverage[metric] || coverage[metric] > periodStart) {
+          continue;
+        }
+        if (await Nomination.exists({ serverId, period, category, periodStart })) {
+          continue;
+        }
+        if (await awardNomination({ serverId, period, category, date: yesterday, now })) {
+          awarded++;
+        }
+      }
+    }
+  }
+  return awarded;
+}
+
+module.exports = { NOMINATION_PERIODS, NOMINATION_CATEGORIES, getPeriodRange, awardNomination, closeNominations };
+
+if (require.main === module) {
+  // node nominations.js <serverId> <daily|weekly|monthly> [YYYY-MM-DD]
+  const [serverId, period, day] = process.argv.slice(2);
+  const date = day ? new Date(day) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  if (!serverId || !NOMINATION_PERIODS.includes(period) || Number.isNaN(date.getTime())) {
+    console.error('Использование: node nominations.js <serverId> <daily|weekly|monthly> [YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  require('dotenv').config();
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => Promise.all(Object.keys(NOMINATION_CATEGORIES).map(category => awardNomination({ serverId, period, category, date }))))
+    .then(results => {
+      results.forEach(nomination => {
+        if (nomination) {
+          console.log(`${nomination.category} ${nomination.periodStart}..${nomination.periodEnd}: ${nomination.winner.username} (${nomination.winner.value})`);
+        }
+      });
+    })
+    .catch(err => console.error('Ошибка подведения итогов номинаций:', err))
+    .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const CommandStats = require('./CommandStats');
+const Inventory = require('./inventory');
+const StarTransaction = require('./StarTransaction');
+const ActivityBucket = require('./ActivityBucket');
+const BoostHistory = require('./BoostHistory');
+const ModerationAction = require('./ModerationAction');
+const Nomination = require('./Nomination');
+const LootboxSeed = require('./LootboxSeed');
+const LootboxOpening = require('./LootboxOpening');
+const VoiceSession = require('./VoiceSession');
+const ShopAuditLog = require('./ShopAuditLog');
+const PromoCode = require('./PromoCode');
+const AccountDeletion = require('./AccountDeletion');
+const UserRank = require('./UserRank');
+const LeaderboardSnapshot = require('./LeaderboardSnapshot');
+const Season = require('./Season');
+const SeasonStats = require('./SeasonStats');
+const UserQuest = require('./UserQuest');
+const { SEASON_METRICS } = require('./seasons');
+const { createZip } = require('./zipArchive');
+
+const DAILY_COLUMNS = ['date', 'messages', 'voiceSeconds', 'mutes', 'unmutes', 'kicks', 'bans', 'unbans'];
+const TRANSACTION_COLUMNS = ['createdAt', 'serverId', 'type', 'amount', 'balanceBefore', 'balanceAfter', 'itemName', 'quantity', 'unitPrice', 'note'];
+
+function toCsv(columns, rows) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+function mapEntries(value) {
+  return value instanceof Map ? [...value] : Object.entries(value || {});
+}
+
+// Сообщения и голос берутся из карт CommandStats (там история длиннее), модерация - из дневных корзин
+function buildDailyRows(stats, buckets) {
+  const rows = new Map();
+  const row = date => {
+    if (!rows.has(date)) {
+      rows.set(date, Object.fromEntries(DAILY_COLUMNS.map(column => [column, column === 'date' ? date : 0])));
+    }
+    return rows.get(date);
+  };
+
+  for (const [date, count] of mapEntries(stats.messagesByDate)) row(date).messages = count;
+  for (const [date, seconds] of mapEntries(stats.voiceByDate)) row(date).voiceSeconds = seconds;
+  for (const bucket of buckets) {
+    for (const column of ['mutes', 'unmutes', 'kicks', 'bans', 'unbans']) {
+      row(bucket.date)[column] = bucket[column] || 0;
+    }
+  }
+
+  return [...rows.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function collectPersonalData(userId) {
+  const [stats, inventories, transactions, buckets, boosts, moderation, nominations, seeds, openings, voiceSessions, shopChanges, promoCodes, rankHistory, seasonStats, quests] = await Promise.all([
+    CommandStats.find({ userId }).select('-__v').lean(),
+    Inventory.find({ userId }).select('-__v').lean(),
+    StarTransaction.find({ $or: [{ userId }, { actorId: userId }] }).sort({ createdAt: 1 }).select('-__v').lean(),
+    ActivityBucket.find({ userId }).sort({ date: 1 }).select('-__v').lean(),
+    BoostHistory.find({ userId }).sort({ createdAt: 1 }).select('-__v').lean(),
+    ModerationAction.find({ $or: [{ actorId: userId }, { targetId: userId }] }).sort({ createdAt: 1 }).select('-__v').lean(),
+    Nomination.find({ $or: [{ 'winner.userId': userId }, { 'runnerUps.userId': userId }] }).sort({ periodStart: 1 }).select('-__v').lean(),
+    LootboxSeed.find({ userId }).select('-__v').lean(),
+    LootboxOpening.find({ userId }).sort({ createdAt: 1 }).select('-__v').lean(),
+    VoiceSession.find({ userId }).sort({ startedAt: 1 }).select('-__v').lean(),
+    ShopAuditLog.find({ actorId: userId }).sort({ createdAt: 1 }).select('-__v').lean(),
+    PromoCode.find({ usedBy: userId }).select('guildId code').lean(),
+    LeaderboardSnapshot.find({ userId }).sort({ takenAt: 1 }).select('-_id -__v').lean(),
+    SeasonStats.find({ userId }).select('-_id -__v').lean(),
+    UserQuest.find({ userId }).sort({ periodStart: 1 }).select('-__v').lean(),
+  ]);
+
+  return {
+    stats,
+    inventories,
+    transactions,
+    buckets,
+    boosts,
+    moderation,
+    nominations,
+    // Сид активной пары ещё не раскрыт: его выдача позволила бы предсказать лутбоксы
+    lootboxSeeds: seeds.map(seed => (seed.active ? { ...seed, serverSeed: null } : seed)),
+    lootboxOpenings: openings,
+    voiceSessions,
+    shopChanges,
+    promoCodesUsed: promoCodes.map(promo => ({ guildId: promo.guildId, code: promo.code })),
+    rankHistory,
+    seasonStats,
+    quests,
+  };
+}
+
+async function buildExportArchive(userId, sessionInfo = null, now = new Date()) {
+  const data = await collectPersonalData(userId);
+  const files = [{
+    name: 'data.json',
+    content: JSON.stringify({ exportedAt: now, userId, session: sessionInfo, ...data }, null, 2),
+  }];
+
+  for (const stats of data.stats) {
+    const buckets = data.buckets.filter(bucket => bucket.serverId === stats.serverId);
+    files.push({ name: `daily_stats_${stats.serverId}.csv`, content: toCsv(DAILY_COLUMNS, buildDailyRows(stats, buckets)) });
+  }
+
+  files.push({
+    name: 'transactions.csv',
+    content: toCsv(TRANSACTION_COLUMNS, data.transactions.map(transaction => ({
+      ...transaction,
+      itemName: transaction.item && transaction.item.itemName,
+      quantity: transaction.item && transaction.item.quantity,
+      unitPrice: transaction.item && transaction.item.unitPrice,
+    }))),
+  });
+
+  return createZip(files, now);
+}
+
+// Удаляет личные записи и обезличивает те, что нужны серверу для отчётности
+// (журнал звёзд, модерация, номинации, архив сезонов, журнал магазина). Вызывается внутри транзакции.
+async function deletePersonalData(userId, session) {
+  const anonymizedId = `deleted-${crypto.randomUUID()}`;
+  const options = { session };
+
+  const deletions = {
+    CommandStats: CommandStats.deleteMany({ userId }, options),
+    Inventory: Inventory.deleteMany({ userId }, options),
+    ActivityBucket: ActivityBucket.deleteMany({ userId }, options),
+    BoostHistory: BoostHistory.deleteMany({ userId }, options),
+    LootboxSeed: LootboxSeed.deleteMany({ userId }, options),
+    LootboxOpening: LootboxOpening.deleteMany({ userId }, options),
+    VoiceSession: VoiceSession.deleteMany({ userId }, options),
+    UserRank: UserRank.deleteMany({ userId }, options),
+    LeaderboardSnapshot: LeaderboardSnapshot.deleteMany({ userId }, options),
+    SeasonStats: SeasonStats.deleteMany({ userId }, options),
+    UserQuest: UserQuest.deleteMany({ userId }, options),
+  };
+
+  const anonymizations = {
+    StarTransaction: [
+      StarTransaction.updateMany({ userId }, { $set: { userId: anonymizedId } }, options),
+      StarTransaction.updateMany({ actorId: userId }, { $set: { actorId: anonymizedId } }, options),
+    ],
+    ModerationAction: [
+      ModerationAction.updateMany({ actorId: userId }, { $set: { actorId: anonymizedId, actorName: null } }, options),
+      ModerationAction.updateMany({ targetId: userId }, { $set: { targetId: anonymizedId, targetName: null } }, options),
+    ],
+    Nomination: [
+      Nomination.updateMany({ 'winner.userId': userId }, { $set: { 'winner.userId': anonymizedId, 'winner.username': null } }, options),
+      Nomination.updateMany(
+        { 'runnerUps.userId': userId },
+        { $set: { 'runnerUps.$[entry].userId': anonymizedId, 'runnerUps.$[entry].username': null } },
+        { ...options, arrayFilters: [{ 'entry.userId': userId }] }
+      ),
+    ],
+    Season: Object.keys(SEASON_METRICS).map(metric => Season.updateMany(
+      { [`standings.${metric}.userId`]: userId },
+      { $set: { [`standings.${metric}.$[entry].userId`]: anonymizedId, [`standings.${metric}.$[entry].username`]: null } },
+      { ...options, arrayFilters: [{ 'entry.userId': userId }] }
+    )),
+    ShopAuditLog: [
+      ShopAuditLog.updateMany({ actorId: userId }, { $set: { actorId: anonymizedId, actorName: null } }, options),
+    ],
+    PromoCode: [
+      PromoCode.updateMany({ usedBy: userId }, { $set: { 'usedBy.$[used]': anonymizedId } }, { ...options, arrayFilters: [{ used: userId }] }),
+    ],
+  };
+
+  // Операции в одной транзакции выполняются последовательно
+  const deleted = {};
+  for (const [collection, operation] of Object.entries(deletions)) {
+    deleted[collection] = (await operation).deletedCount;
+  }
+  const anonymized = {};
+  for (const [collection, operations] of Object.entries(anonymizations)) {
+    anonymized[collection] = 0;
+    for (const operation of operations) {
+      anonymized[collection] += (await operation).modifiedCount;
+    }
+  }
+
+  await AccountDeletion.create([{ anonymizedId, deleted, anonymized }], { session });
+  return { anonymizedId, deleted, anonymized };
+}
+
+module.exports = { toCsv, collectPersonalData, buildExportArchive, deletePersonalData };
@@ -0,0 +1,136 @@
+const Sale = require('./Sale');
+const PromoCode = require('./PromoCode');
+
+function normalizePromoCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+function isWeekend(now) {
+  const day = now.getDay();
+  return day === 0 || day === 6;
+}
+
+function combinePercentages(percentages, stacking) {
+  if (percentages.length === 0) return 0;
+  if (stacking === 'additive') {
+    return percentages.reduce((total, percentage) => total + percentage, 0);
+  }
+  if (stacking === 'best') {
+    return Math.max(...percentages);
+  }
+  return (1 - percentages.reduce((multiplier, percentage) => multiplier * (1 - percentage / 100), 1)) * 100;
+}
+
+function appliesToItem(discount, item) {
+  return !discount.itemIds || discount.itemIds.length === 0 || discount.itemIds.includes(item._id.toString());
+}
+
+// Возвращает код причины, по которой промокод нельзя применить, или null
+function checkPromoCode(promo, userId, now) {
+  if (!promo || !promo.enabled) return 'PROMO_NOT_FOUND';
+  if (promo.startsAt && promo.startsAt > now) return 'PROMO_NOT_STARTED';
+  if (promo.expiresAt && promo.expiresAt <= now) return 'PROMO_EXPIRED';
+  if (promo.maxUses !== null && promo.usesCount >= promo.maxUses) return 'PROMO_EXHAUSTED';
+  if (!userId) return 'PROMO_LOGIN_REQUIRED';
+  if (promo.usedBy.filter(id => id === userId).length >= promo.maxUsesPerUser) return 'PROMO_ALREADY_USED';
+  return null;
+}
+
+async function collectDiscounts({ guildConfig, memberRoles, promo, now }) {
+  const discounts = [];
+
+  if (guildConfig.shop.weekendDiscount > 0 && isWeekend(now)) {
+    discounts.push({ source: 'weekend', label: 'Скидка выходного дня', percentage: guildConfig.shop.weekendDiscount });
+  }
+
+  for (const discountRole of guildConfig.discountRoles) {
+    if (memberRoles.includes(discountRole.roleId)) {
+      discounts.push({ source: 'role', label: 'Скидка за роль', percentage: discountRole.percentage });
+    }
+  }
+
+  const sales = await Sale.find({ guildId: guildConfig.guildId, enabled: true, startsAt: { $lte: now }, endsAt: { $gt: now } }).lean();
+  for (const sale of sales) {
+    discounts.push({ source: 'sale', label: sale.name, percentage: sale.percentage, itemIds: sale.itemIds, stackable: sale.stackable, endsAt: sale.endsAt });
+  }
+
+  if (promo) {
+    discounts.push({ source: 'promo', label: `Промокод ${promo.code}`, percentage: promo.percentage, itemIds: promo.itemIds, stackable: promo.stackable });
+  }
+
+  return discounts;
+}
+
+function priceItem(item, discounts, shopSettings) {
+  const applicable = discounts.filter(discount => appliesToItem(discount, item));
+  if (item.discount > 0) {
+    applicable.push({ source: 'item', label: 'Скидка на товар', percentage: item.discount });
+  }
+
+  // Нескладываемые скидки не комбинируются с остальными: берётся лучший из вариантов
+  const stackable = applicable.filter(discount => discount.stackable !== false);
+  const exclusive = applicable.filter(discount => discount.stackable === false)
+    .sort((a, b) => b.percentage - a.percentage)[0];
+
+  let applied = stackable;
+  let percentage = combinePercentages(stackable.map(discount => discount.percentage), shopSettings.stacking);
+  if (exclusive && exclusive.percentage > percentage) {
+    applied = [exclusive];
+    percentage = exclusive.percentage;
+  }
+  percentage = Math.min(percentage, shopSettings.maxDiscount);
+
+  return {
+    itemId: item._id.toString(),
+    name: item.name,
+    stock: item.stock,
+    basePrice: item.price,
+    unitPrice: Math.round(item.price * (1 - percentage / 100)),
+    discountPercentage: Math.round(percentage * 100) / 100,
+    discounts: applied.map(({ source, label, percentage: value }) => ({ source, label, percentage: value })),
+  };
+}
+
+// Единственный расчёт цены: его показывает магазин и по нему же списывает /buy
+async function quoteItems({ guildConfig, items, memberRoles = [], userId = null, promoCode = null, now = new Date() }) {
+  let promo = null;
+  let promoStatus = null;
+
+  if (promoCode) {
+    const code = normalizePromoCode(promoCode);
+    const found = await PromoCode.findOne({ guildId: guildConfig.guildId, code }).lean();
+    const reason = checkPromoCode(found, userId, now);
+    promoStatus = { code, valid: !reason, reason };
+    if (!reason) {
+      promo = found;
+    }
+  }
+
+  const discounts = await collectDiscounts({ guildConfig, memberRoles, promo, now });
+
+  return {
+    discounts: discounts.map(({ source, label, percentage, itemIds, endsAt }) => ({ source, label, percentage, itemIds, endsAt })),
+    stacking: guildConfig.shop.stacking,
+    promo: promoStatus,
+    items: items.map(item => priceItem(item, discounts, guildConfig.shop)),
+  };
+}
+
+// Атомарно списывает одно использование, повторно проверяя лимиты внутри запроса
+async function redeemPromoCode({ guildId, code, userId, session = null, now = new Date() }) {
+  const result = await PromoCode.updateOne({
+    guildId,
+    code: normalizePromoCode(code),
+    enabled: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      { $or: [{ maxUses: null }, { $expr: { $lt: ['$usesCount', '$maxUses'] } }] },
+      { $expr: { $lt: [{ $size: { $filter: { input: '$usedBy', cond: { $eq: ['$$this', userId] } } } }, '$maxUsesPerUser'] } },
+    ],
+  }, { $inc: { usesCount: 1 }, $push: { usedBy: userId } }, { session });
+
+  return result.modifiedCount === 1;
+}
+
+module.exports = { normalizePromoCode, quoteItems, redeemPromoCode };
@@ -0,0 +1,93 @@
+const { ROLLING_WINDOWS } = require('./rollup');
+
+const VISIBILITY_LEVELS = ['public', 'staff', 'private'];
+
+const DEFAULT_PRIVACY = {
+  balance: 'public',
+  staffStats: 'public',
+  activity: 'public',
+  listedOnLeaderboards: true,
+};
+
+const STAFF_COUNTER_FIELDS = [
+  'totalMuteCount', 'muteCount', 'unmuteCount', 'kickCount', 'banCount', 'unbanCount',
+  ...Object.keys(ROLLING_WINDOWS).filter(field => /^(mute|unmute|kick|ban|unban)Count/.test(field)),
+];
+
+// Настройка приватности -> поля профиля, которые она скрывает
+const PRIVACY_GROUPS = {
+  balance: ['stars', 'activeStarBoost', 'generators'],
+  // История ролей показывает стаж в персонале. Текущие роли (roles) остаются открытыми: их и так видно на сервере
+  staffStats: [...STAFF_COUNTER_FIELDS, 'roleHistory'],
+  activity: ['messagesByDate', 'voiceByDate'],
+};
+
+// Метрика в profile.ranks -> настройка, которая её скрывает
+const RANK_PRIVACY = { stars: 'balance', mutes: 'staffStats', kicks: 'staffStats', bans: 'staffStats' };
+
+// Никогда не отдаются в профиле: большие карты отдаются отдельными эндпоинтами
+const INTERNAL_FIELDS = ['_id', '__v', 'messagesByDate', 'voiceByDate', 'privacy'];
+// Discord ID видят только владелец и модераторы
+const NON_PUBLIC_FIELDS = ['userId'];
+
+function getPrivacy(profile) {
+  return { ...DEFAULT_PRIVACY, ...(profile && profile.privacy) };
+}
+
+// viewer: 'owner', 'staff' или 'public'
+function canView(level, viewer) {
+  if (viewer === 'owner' || level === 'public') return true;
+  return level === 'staff' && viewer === 'staff';
+}
+
+function projectProfile(profile, viewer) {
+  const privacy = getPrivacy(profile);
+  const hidden = new Set(INTERNAL_FIELDS);
+
+  for (const [setting, fields] of Object.entries(PRIVACY_GROUPS)) {
+    if (!canView(privacy[setting], viewer)) {
+      fields.forEach(field => hidden.add(field));
+    }
+  }
+  if (viewer === 'public') {
+    NON_PUBLIC_FIELDS.forEach(field => hidden.add(field));
+  }
+
+  const projected = {};
+  for (const [field, value] of Object.entries(profile)) {
+    if (!hidden.has(field)) {
+      projected[field] = value;
+    }
+  }
+  if (projected.ranks) {
+    projected.ranks = Object.fromEntries(Object.entries(projected.ranks)
+      .filter(([metric]) => !RANK_PRIVACY[metric] || canView(privacy[RANK_PRIVACY[metric]], viewer)));
+  }
+  if (viewer === 'owner') {
+    projected.privacy = privacy;
+  }
+  projected.hiddenFields = Object.keys(PRIVACY_GROUPS).filter(setting => !canView(privacy[setting], viewer));
+  return projected;
+}
+
+// Проверяет тело PUT /me/privacy и возвращает только известные настройки
+function validatePrivacy(body) {
+  const settings = {};
+  for (const setting of ['balance', 'staffStats', 'activity']) {
+    if (body[setting] !== undefined) {
+      if (!VISIBILITY_LEVELS.includes(body[setting])) {
+        return { error: `Недопустимое значение для ${setting}` };
+      }
+      settings[setting] = body[setting];
+    }
+  }
+  if (body.listedOnLeaderboards !== undefined) {
+    if (typeof body.listedOnLeaderboards !== 'boolean') {
+      return { error: 'Поле listedOnLeaderboards должно быть true или false' };
+    }
+    settings.listedOnLeaderboards = body.listedOnLeaderboards;
+  }
+  return { settings };
+}
+
+module.exports = { VISIBILITY_LEVELS, DEFAULT_PRIVACY, getPrivacy, canView, projectProfile, validatePrivacy };
@@ -0,0 +1,49 @@
+const StarTransaction = require('./StarTransaction');
+
+function startOfUtcDay(now = new Date()) {
+  const start = new Date(now);
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+}
+
+// Сколько штук каждого товара пользователь купил всего и за сегодня (без возвращённых покупок)
+async function getPurchaseCounts({ userId, serverId, itemIds, session = null, now = new Date() }) {
+  const rows = await StarTransaction.aggregate([
+    { $match: { userId, serverId, type: 'purchase', refundedBy: null, 'item.itemId': { $in: itemIds } } },
+    {
+      $group: {
+        _id: '$item.itemId',
+        total: { $sum: '$item.quantity' },
+        today: { $sum: { $cond: [{ $gte: ['$createdAt', startOfUtcDay(now)] }, '$item.quantity', 0] } },
+      },
+    },
+  ]).session(session);
+
+  const counts = new Map();
+  for (const row of rows) {
+    counts.set(row._id, { total: row.total, today: row.today });
+  }
+  return counts;
+}
+
+// Возвращает машиночитаемую причину отказа или null, если покупка разрешена
+function checkPurchaseLimits(item, quantity, counts = { total: 0, today: 0 }) {
+  if (item.stock !== -1 && item.stock < quantity) return 'OUT_OF_STOCK';
+  if (item.unique && counts.total > 0) return 'UNIQUE_OWNED';
+  if (item.unique && quantity > 1) return 'USER_LIMIT';
+  if (item.perUserLimit != null && counts.total + quantity > item.perUserLimit) return 'USER_LIMIT';
+  if (item.perDayLimit != null && counts.today + quantity > item.perDayLimit) return 'DAILY_LIMIT';
+  return null;
+}
+
+// Сколько штук ещё можно купить с учётом запаса и лимитов; null - без ограничений
+function getRemainingQuantity(item, counts = { total: 0, today: 0 }) {
+  const limits = [];
+  if (item.stock !== -1) limits.push(item.stock);
+  if (item.unique) limits.push(1 - counts.total);
+  if (item.perUserLimit != null) limits.push(item.perUserLimit - counts.total);
+  if (item.perDayLimit != null) limits.push(item.perDayLimit - counts.today);
+  return limits.length > 0 ? Math.max(0, Math.min(...limits)) : null;
+}
+
+module.exports = { getPurchaseCounts, checkPurchaseLimits, getRemainingQuantity };
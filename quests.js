@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const CommandStats = require('./CommandStats');
+const ActivityBucket = require('./ActivityBucket');
+const BucketCoverage = require('./BucketCoverage');
+const QuestTemplate = require('./QuestTemplate');
+const UserQuest = require('./UserQuest');
+const { toDateKey } = require('./rollup');
+const { applyStarChange } = require('./ledger');
+const { getFieldValue } = require('./achievements');
+const { getPeriodRange } = require('./nominations');
+
+// Период -> сколько заданий в ротации
+const QUEST_ROTATION_SIZES = {
+  daily: 3,
+  weekly: 2,
+};
+
+// Поля, прирост которых за период можно восстановить по дневным корзинам: задание засчитывает
+// всю активность с начала периода, даже если участник открыл задания только вечером.
+// Корзины сообщений пополняет клиент бота в API, голосовые - записанные сессии (voiceSessions.js)
+const QUEST_BUCKET_METRICS = {
+  totalMessages: 'messages',
+  voiceTime: 'voiceSeconds',
+};
+
+const TEMPLATES_TTL = 60 * 1000;
+let templatesCache = { data: null, timestamp: 0 };
+
+class QuestError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+async function getQuestTemplates() {
+  if (templatesCache.data && Date.now() - templatesCache.timestamp < TEMPLATES_TTL) {
+    return templatesCache.data;
+  }
+  const data = await QuestTemplate.find({ enabled: true }).sort({ order: 1 }).select('-__v').lean();
+  templatesCache = { data, timestamp: Date.now() };
+  return data;
+}
+
+// Ротация детерминирована: порядок шаблонов задаёт хэш участника, периода и ключа шаблона
+function pickRotation(templates, { userId, serverId, period, periodStart }, size) {
+  const rank = template => crypto.createHash('sha256').update(`${userId}:${serverId}:${period}:${periodStart}:${template.key}`).digest('hex');
+  return templates
+    .filter(template => template.period === period)
+    .map(template => ({ template, rank: rank(template) }))
+    .sort((a, b) => a.rank.localeCompare(b.rank))
+    .slice(0, size)
+    .map(({ template }) => template);
+}
+
+// Значение поля на начало периода. Для остальных полей, а также пока корзины сервера
+// не покрывают весь период (BucketCoverage), прогресс считается с момента выдачи задания.
+async function computeBaseline(userStats, field, periodStart) {
+  const current = getFieldValue(userStats, field);
+  const metric = QUEST_BUCKET_METRICS[field];
+  if (!metric) {
+    return current;
+  }
+
+  const coverage = await BucketCoverage.findOne({ serverId: userStats.serverId }).select(metric).lean();
+  if (!coverage || !coverage[metric] || coverage[metric] > periodStart) {
+    return current;
+  }
+
+  const [row] = await ActivityBucket.aggregate([
+    { $match: { userId: userStats.userId, serverId: userStats.serverId, date: { $gte: periodStart } } },
+    { $group: { _id: null, value: { $sum: `$${metric}` } } },
+  ]);
+  return Math.max(0, current - (row ? row.value : 0));
+}
+
+async function assignRotation(userStats, period, now) {
+  const { periodStart, periodEnd } = getPeriodRange(period, now);
+  const owner = { userId: userStats.userId, serverId: userStats.serverId };
+
+  const existing = await UserQuest.find({ ...owner, period, periodStart }).sort({ _id: 1 }).lean();
+  if (existing.length > 0) {
+    return existing;
+  }
+
+  const templates = pickRotation(await getQuestTemplates(), { ...owner, period, periodStart }, QUEST_ROTATION_SIZES[period]);
+  const quests = await Promise.all(templates.map(async template => ({
+    ...owner,
+    templateKey: template.key,
+    period,
+    periodStart,
+    periodEnd,
+    description: template.description,
+    icon: template.icon,
+    field: template.field,
+    target: template.target,
+    baseline: await computeBaseline(userStats, template.field, periodStart),
+    reward: { stars: (template.reward && template.reward.stars) || 0 },
+  })));
+
+  try {
+    await UserQuest.insertMany(quests, { ordered: false });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error; // 11000 - ротацию уже выдал параллельный запрос
+    }
+  }
+  return UserQuest.find({ ...owner, period, periodStart }).sort({ _id: 1 }).lean();
+}
+
+function describeQuest(quest, userStats) {
+  const progress = Math.min(quest.target, Math.max(0, getFieldValue(userStats, quest.field) - quest.baseline));
+  return {
+    _id: quest._id,
+    period: quest.period,
+    periodStart: quest.periodStart,
+    periodEnd: quest.periodEnd,
+    description: quest.description,
+    icon: quest.icon,
+    field: quest.field,
+    target: quest.target,
+    reward: quest.reward,
+    progress,
+    completed: progress >= quest.target,
+    claimedAt: quest.claimedAt,
+  };
+}
+
+// Текущие дневная и недельная ротации участника; выдаются при первом обращении за период
+async function getUserQuests(userStats, now = new Date()) {
+  const result = {};
+  for (const period of Object.keys(QUEST_ROTATION_SIZES)) {
+    const quests = await assignRotation(userStats, period, now);
+    result[period] = quests.map(quest => describeQuest(quest, userStats));
+  }
+  return result;
+}
+
+// Забирает награду за выполненное задание. Вызывается внутри транзакции.
+async function claimQuest({ questId, userId, serverId, session, now = new Date() }) {
+  const quest = await UserQuest.findOne({ _id: questId, userId, serverId }).session(session).lean();
+  if (!quest) {
+    throw new QuestError('NOT_FOUND', 'Задание не найдено');
+  }
+  if (quest.periodEnd < toDateKey(now)) {
+    throw new QuestError('EXPIRED', 'Срок задания истёк');
+  }
+
+  const userStats = await CommandStats.findOne({ userId, serverId }).session(session).lean();
+  if (!userStats || !describeQuest(quest, userStats).completed) {
+    throw new QuestError('NOT_COMPLETED', 'Задание ещё не выполнено');
+  }
+
+  const claimed = await UserQuest.findOneAndUpdate(
+    { _id: quest._id, claimedAt: null },
+    { $set: { claimedAt: now } },
+    { new: true, session }
+  ).lean();
+  if (!claimed) {
+    throw new QuestError('ALREADY_CLAIMED', 'Награда за задание уже получена');
+  }
+
+  let user = userStats;
+  if (quest.reward.stars > 0) {
+    ({ user } = await applyStarChange({ userId, serverId, amount: quest.reward.stars, type: 'quest', note: quest.description, session }));
+  }
+  return { quest: describeQuest(claimed, user), stars: user.stars };
+}
+
+module.exports = { QUEST_ROTATION_SIZES, QuestError, getQuestTemplates, pickRotation, getUserQuests, claimQuest };
@@ -0,0 +1,120 @@
+const CommandStats = require('./CommandStats');
+const UserRank = require('./UserRank');
+const { LEADERBOARD_METRICS, STAFF_METRICS, leaderboardFilter } = require('./leaderboards');
+
+const RANKED_FIELDS = [...new Set(Object.values(LEADERBOARD_METRICS).flatMap(periods => Object.values(periods)))];
+
+// Поле -> настройка приватности, которая убирает участника из таблицы этого поля (как leaderboardFilter)
+const FIELD_PRIVACY_SETTINGS = {};
+for (const [metric, periods] of Object.entries(LEADERBOARD_METRICS)) {
+  const setting = metric === 'stars' ? 'balance' : STAFF_METRICS.includes(metric) ? 'staffStats' : null;
+  if (setting) {
+    Object.values(periods).forEach(field => { FIELD_PRIVACY_SETTINGS[field] = setting; });
+  }
+}
+
+// Значения полей для ранжирования: у скрытых настройкой приватности - null, такие участники
+// оказываются в конце сортировки и не сдвигают места остальных
+function listedValuesProjection() {
+  const values = {};
+  for (const field of RANKED_FIELDS) {
+    const value = { $ifNull: [`$${field}`, 0] };
+    const setting = FIELD_PRIVACY_SETTINGS[field];
+    values[field] = setting
+      ? { $cond: [{ $in: [{ $ifNull: [`$privacy.${setting}`, null] }, [null, 'public']] }, value, null] }
+      : value;
+  }
+  return values;
+}
+
+// Места из rank_<поле>; для скрытых полей место не записывается
+function listedRanksProjection() {
+  return Object.fromEntries(RANKED_FIELDS.map(field => [
+    field,
+    FIELD_PRIVACY_SETTINGS[field] ? { $cond: [{ $eq: [`$${field}`, null] }, '$$REMOVE', `$rank_${field}`] } : `$rank_${field}`,
+  ]));
+}
+
+// Места в снимке: поле -> место; для ответа API раскладываются по метрикам и периодам
+function groupRanks(ranksByField) {
+  const grouped = {};
+  for (const [metric, periods] of Object.entries(LEADERBOARD_METRICS)) {
+    grouped[metric] = {};
+    for (const [period, field] of Object.entries(periods)) {
+      grouped[metric][period] = ranksByField[field] || null;
+    }
+  }
+  return grouped;
+}
+
+// Стадии $setWindowFields, добавляющие rank_<поле> по каждому полю внутри сервера
+function rankWindowStages(fields) {
+  return fields.map(field => ({
+    $setWindowFields: {
+      partitionBy: '$serverId',
+      sortBy: { [field]: -1 },
+      output: { [`rank_${field}`]: { $rank: {} } },
+    },
+  }));
+}
+
+// Пересчитывает снимок мест одной агрегацией: $rank по каждому полю и $merge в коллекцию UserRank.
+// Равные значения делят место (1, 2, 2, 4), как и в таблицах лидеров; приватность учитывается так же,
+// поэтому скрывшие себя в снимок не попадают, а скрывшие поле не получают в нём места.
+async function refreshRankSnapshot(now = new Date()) {
+  await CommandStats.aggregate([
+    { $match: { 'privacy.listedOnLeaderboards': { $ne: false } } },
+    { $project: { userId: 1, serverId: 1, ...listedValuesProjection() } },
+    ...rankWindowStages(RANKED_FIELDS),
+    {
+      $project: {
+        _id: 0,
+        userId: 1,
+        serverId: 1,
+        ranks: listedRanksProjection(),
+        computedAt: { $literal: now },
+      },
+    },
+    { $merge: { into: UserRank.collection.name, on: ['serverId', 'userId'], whenMatched: 'replace', whenNotMatched: 'insert' } },
+  ]).allowDiskUse(true);
+  // Удалённые из CommandStats и скрывшие себя участники не должны оставаться в снимке
+  await UserRank.deleteMany({ computedAt: { $lt: now } });
+}
+
+function isFieldHidden(user, field) {
+  const setting = FIELD_PRIVACY_SETTINGS[field];
+  const value = setting && user.privacy ? user.privacy[setting] : null;
+  return Boolean(value) && value !== 'public';
+}
+
+// Места для одного участника, если его ещё нет в снимке: одна агрегация с $facet вместо запроса на каждое поле.
+// Выше участника считаются только те, кого видно в таблице этого поля (leaderboardFilter)
+async function computeRanksLive(user) {
+  if (user.privacy && user.privacy.listedOnLeaderboards === false) {
+    return {};
+  }
+
+  const facets = {};
+  for (const [metric, periods] of Object.entries(LEADERBOARD_METRICS)) {
+    for (const field of Object.values(periods)) {
+      if (!isFieldHidden(user, field)) {
+        facets[field] = [{ $match: { ...leaderboardFilter(user.serverId, metric), [field]: { $gt: user[field] || 0 } } }, { $count: 'above' }];
+      }
+    }
+  }
+  const [result] = await CommandStats.aggregate([{ $match: { serverId: user.serverId } }, { $facet: facets }]);
+
+  const ranks = {};
+  for (const field of Object.keys(facets)) {
+    ranks[field] = (result[field][0] ? result[field][0].above : 0) + 1;
+  }
+  return ranks;
+}
+
+async function getUserRanks(user) {
+  const snapshot = await UserRank.findOne({ userId: user.userId, serverId: user.serverId }).lean();
+  const ranksByField = snapshot ? snapshot.ranks : await computeRanksLive(user);
+  return { ranksByField, computedAt: snapshot ? snapshot.computedAt : new Date() };
+}
+
+module.exports = { RANKED_FIELDS, FIELD_PRIVACY_SETTINGS, listedValuesProjection, listedRanksProjection, groupRanks, rankWindowStages, refreshRankSnapshot, computeRanksLive, getUserRanks };
@@ -0,0 +1,92 @@
+const CommandStats = require('./CommandStats');
+const GuildConfig = require('./GuildConfig');
+const { getStaffRoleIds } = require('./guilds');
+const { listGuildMembers } = require('./discordApi');
+
+// Сравнивает текущие роли участника с историей: закрывает интервалы снятых ролей и открывает новые.
+// Учитываются только роли из trackedRoleIds.
+function diffRoleHistory(history, currentRoleIds, trackedRoleIds, now = new Date()) {
+  let changed = false;
+  const next = history.map(interval => {
+    if (!interval.endedAt && !currentRoleIds.includes(interval.roleId)) {
+      changed = true;
+      return { ...interval, endedAt: now };
+    }
+    return interval;
+  });
+
+  for (const roleId of trackedRoleIds) {
+    const isOpen = next.some(interval => interval.roleId === roleId && !interval.endedAt);
+    if (currentRoleIds.includes(roleId) && !isOpen) {
+      changed = true;
+      next.push({ roleId, startedAt: now, endedAt: null });
+    }
+  }
+
+  return { history: next, changed };
+}
+
+// Старые записи хранили только roleAcquisitionDates, которые сбрасывались при каждом входе.
+// Это лучшее, что о них известно, поэтому из них открываются первые интервалы.
+function legacyHistory(user) {
+  const dates = user.roleAcquisitionDates || {};
+  return Object.entries(dates).map(([roleId, startedAt]) => ({ roleId, startedAt: new Date(startedAt), endedAt: null }));
+}
+
+async function syncRoleHistory({ userId, serverId, roleIds, guildConfig, now = new Date() }) {
+  const user = await CommandStats.findOne({ userId, serverId }).select('roleHistory roleAcquisitionDates').lean();
+  if (!user) {
+    return null;
+  }
+
+  const stored = (user.roleHistory || []).length > 0 ? user.roleHistory : legacyHistory(user);
+  const { history, changed } = diffRoleHistory(stored, roleIds, getStaffRoleIds(guildConfig), now);
+  if (!changed && !user.roleAcquisitionDates) {
+    return history;
+  }
+
+  await CommandStats.updateOne(
+    { _id: user._id },
+    { $set: { roleHistory: history }, $unset: { roleAcquisitionDates: '' } },
+    { strict: false }
+  );
+  return history;
+}
+
+// Периодическая синхронизация: проходит по всем участникам с ролями из настроек
+// и по всем, у кого в истории остались открытые интервалы
+async function syncGuildRoleHistory(guildConfig, now = new Date()) {
+  const members = await listGuildMembers(guildConfig.guildId);
+  const rolesByUser = new Map(members.map(member => [member.user.id, member.roles]));
+  const staffRoleIds = getStaffRoleIds(guildConfig);
+  const staffMemberIds = members
+    .filter(member => member.roles.some(roleId => staffRoleIds.includes(roleId)))
+    .map(member => member.user.id);
+
+  const users = await CommandStats.find({
+    serverId: guildConfig.guildId,
+    $or: [
+      { userId: { $in: staffMemberIds } },
+      { roleHistory: { $elemMatch: { endedAt: null } } },
+      { roleAcquisitionDates: { $exists: true } },
+    ],
+  }).select('userId').lean();
+
+  let synced = 0;
+  for (const user of users) {
+    await syncRoleHistory({ userId: user.userId, serverId: guildConfig.guildId, roleIds: rolesByUser.get(user.userId) || [], guildConfig, now });
+    synced++;
+  }
+  return synced;
+}
+
+async function syncAllRoleHistory(now = new Date()) {
+  const guildConfigs = await GuildConfig.find({}).lean();
+  let synced = 0;
+  for (const guildConfig of guildConfigs) {
+    synced += await syncGuildRoleHistory(guildConfig, now);
+  }
+  return synced;
+}
+
+module.exports = { diffRoleHistory, syncRoleHistory, syncGuildRoleHistory, syncAllRoleHistory };
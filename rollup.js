@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const CommandStats = require('./CommandStats');
+const ActivityBucket = require('./ActivityBucket');
+const BucketCoverage = require('./BucketCoverage');
+
+const BUCKET_METRICS = ['messages', 'voiceSeconds', 'mutes', 'unmutes', 'kicks', 'bans', 'unbans'];
+
+// Поле CommandStats -> метрика из ActivityBucket и длина окна в днях
+const ROLLING_WINDOWS = {
+  messagesToday: { metric: 'messages', days: 1 },
+  messagesLast7Days: { metric: 'messages', days: 7 },
+  messagesLast30Days: { metric: 'messages', days: 30 },
+  voiceTimeToday: { metric: 'voiceSeconds', days: 1 },
+  voiceLast7Days: { metric: 'voiceSeconds', days: 7 },
+  voiceLast30Days: { metric: 'voiceSeconds', days: 30 },
+  muteCountToday: { metric: 'mutes', days: 1 },
+  unmuteCountToday: { metric: 'unmutes', days: 1 },
+  muteCountLast7Days: { metric: 'mutes', days: 7 },
+  unmuteCountLast7Days: { metric: 'unmutes', days: 7 },
+  kickCountLast7Days: { metric: 'kicks', days: 7 },
+  banCountLast7Days: { metric: 'bans', days: 7 },
+  unbanCountLast7Days: { metric: 'unbans', days: 7 },
+  muteCountLast30Days: { metric: 'mutes', days: 30 },
+  unmuteCountLast30Days: { metric: 'unmutes', days: 30 },
+  kickCountLast30Days: { metric: 'kicks', days: 30 },
+  banCountLast30Days: { metric: 'bans', days: 30 },
+  unbanCountLast30Days: { metric: 'unbans', days: 30 },
+};
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Первый день окна длиной days, включая сегодняшний
+function windowStartKey(days, now = new Date()) {
+  const start = new Date(now);
+  start.setUTCDate(start.getUTCDate() - (days - 1));
+  return toDateKey(start);
+}
+
+// Сервер_метрика, для которых этот процесс уже записал начало покрытия
+const markedCoverage = new Set();
+
+// Отмечает, что корзины metrics на сервере пополняются не позже dateKey
+async function markCoverage(serverId, metrics, dateKey) {
+  const pending = metrics.filter(metric => !markedCoverage.has(`${serverId}_${metric}`));
+  if (pending.length === 0) {
+    return;
+  }
+  await BucketCoverage.updateOne(
+    { serverId },
+    { $min: Object.fromEntries(pending.map(metric => [metric, dateKey])) },
+    { upsert: true }
+  );
+  pending.forEach(metric => markedCoverage.add(`${serverId}_${metric}`));
+}
+
+// Вызывается на каждое сообщение, законченную голосовую сессию и модераторское действие
+async function recordActivity({ userId, serverId, date = new Date(), ...counters }) {
+  const inc = {};
+  for (const metric of BUCKET_METRICS) {
+    if (counters[metric]) {
+      inc[metric] = counters[metric];
+    }
+  }
+  if (Object.keys(inc).length === 0) {
+    return;
+  }
+  const dateKey = toDateKey(date);
+  await ActivityBucket.updateOne({ userId, serverId, date: dateKey }, { $inc: inc }, { upsert: true });
+  await markCoverage(serverId, Object.keys(inc), dateKey);
+}
+
+// Одноразовое заполнение корзин из messagesByDate и voiceByDate. Значения ставятся через $set,
+// поэтому повторный запуск безопасен. Для мьютов, киков и банов дневной истории нет - их корзины не заполняются.
+async function backfillBuckets() {
+  let operations = [];
+  let written = 0;
+  const coverage = new Map(); // Сервер -> самый ранний день с сообщениями и с голосом
+
+  const cursor = CommandStats.find({}).select('userId serverId messagesByDate voiceByDate').lean().cursor();
+  for await (const user of cursor) {
+    const days = new Map();
+    for (const [date, messages] of Object.entries(user.messagesByDate || {})) {
+      days.set(date, { ...days.get(date), messages });
+    }
+    for (const [date, voiceSeconds] of Object.entries(user.voiceByDate || {})) {
+      days.set(date, { ...days.get(date), voiceSeconds });
+    }
+
+    const since = coverage.get(user.serverId) || {};
+    for (const [date, set] of days) {
+      for (const metric of Object.keys(set)) {
+        if (!since[metric] || date < since[metric]) {
+          since[metric] = date;
+        }
+      }
+      operations.push({
+        updateOne: { filter: { userId: user.userId, serverId: user.serverId, date }, update: { $set: set }, upsert: true },
+      });
+    }
+    coverage.set(user.serverId, since);
+
+    if (operations.length >= 500) {
+      await ActivityBucket.bulkWrite(operations, { ordered: false });
+      written += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await ActivityBucket.bulkWrite(operations, { ordered: false });
+    written += operations.length;
+  }
+
+  for (const [serverId, since] of coverage) {
+    if (Object.keys(since).length > 0) {
+      await BucketCoverage.updateOne({ serverId }, { $min: since }, { upsert: true });
+    }
+  }
+  return written;
+}
+
+async function computeWindows(now = new Date()) {
+  const maxDays = Math.max(...Object.values(ROLLING_WINDOWS).map(window => window.days));
+  const group = { _id: { userId: '$userId', serverId: '$serverId' } };
+
+  for (const [field, { metric, days }] of Object.entries(ROLLING_WINDOWS)) {
+    group[field] = { $sum: { $cond: [{ $gte: ['$date', windowStartKey(days, now)] }, `$${metric}`, 0] } };
+  }
+
+  const rows = await ActivityBucket.aggregate([
+    { $match: { date: { $gte: windowStartKey(maxDays, now) } } },
+    { $group: group },
+  ]);
+
+  const windows = new Map();
+  for (const row of rows) {
+    const { _id, ...values } = row;
+    windows.set(`${_id.serverId}_${_id.userId}`, values);
+  }
+  return windows;
+}
+
+// Окна сервера, которые корзины покрывают целиком. Остальные поля не трогаются:
+// их значение от бота точнее, чем сумма корзин, которые начали пополняться посреди окна
+async function getCoveredFields(now = new Date()) {
+  const covered = new Map();
+  for (const coverage of await BucketCoverage.find({}).lean()) {
+    covered.set(coverage.serverId, Object.keys(ROLLING_WINDOWS).filter(field => {
+      const { metric, days } = ROLLING_WINDOWS[field];
+      return coverage[metric] && coverage[metric] <= windowStartKey(days, now);
+    }));
+  }
+  return covered;
+}
+
+// Пересчитывает скользящие окна из дневных корзин; запускается по расписанию, повторный запуск безопасен.
+// В режиме verify ничего не пишет и возвращает список расхождений.
+async function rollupWindows({ verify = false, now = new Date() } = {}) {
+  const windows = await computeWindows(now);
+  const coveredFields = await getCoveredFields(now);
+  const fields = Object.keys(ROLLING_WINDOWS);
+  const mismatches = [];
+  let operations = [];
+  let updated = 0;
+
+  const cursor = CommandStats.find({ serverId: { $in: [...coveredFields.keys()] } })
+    .select(['userId', 'serverId', 'username', ...fields].join(' '))
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    const expected = windows.get(`${user.serverId}_${user.userId}`) || {};
+    const diff = {};
+
+    for (const field of coveredFields.get(user.serverId)) {
+      const stored = user[field] || 0;
+      const recomputed = expected[field] || 0;
+      if (stored !== recomputed) {
+        diff[field] = { stored, recomputed };
+      }
+    }
+
+    if (Object.keys(diff).length === 0) {
+      continue;
+    }
+
+    if (verify) {
+      mismatches.push({ userId: user.userId, serverId: user.serverId, username: user.username, fields: diff });
+      continue;
+    }
+
+    const set = {};
+    for (const field of Object.keys(diff)) {
+      set[field] = diff[field].recomputed;
+    }
+    operations.push({ updateOne: { filter: { _id: user._id }, update: { $set: set } } });
+
+    if (operations.length >= 500) {
+      await CommandStats.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await CommandStats.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+  }
+
+  return verify ? { mismatches } : { updated };
+}
+
+module.exports = { ROLLING_WINDOWS, toDateKey, windowStartKey, recordActivity, backfillBuckets, rollupWindows };
+
+// По расписанию пересчёт запускает API. Вручную:
+// node rollup.js            - только сверка (по умолчанию)
+// node rollup.js --backfill - заполнить корзины из messagesByDate и voiceByDate
+// node rollup.js --apply    - перезаписать скользящие окна значениями из корзин
+if (require.main === module) {
+  require('dotenv').config();
+  const backfill = process.argv.includes('--backfill');
+  const verify = !process.argv.includes('--apply');
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(async () => {
+      if (backfill) {
+        console.log(`Заполнено корзин: ${await backfillBuckets()}`);
+      }
+      return rollupWindows({ verify });
+    })
+    .then(result => {
+      if (verify) {
+        result.mismatches.forEach(mismatch => {
+          console.log(`${mismatch.username} (${mismatch.userId}, сервер ${mismatch.serverId}):`);
+          for (const [field, { stored, recomputed }] of Object.entries(mismatch.fields)) {
+            console.log(`  ${field}: сохранено ${stored}, пересчитано ${recomputed}`);
+          }
+        });
+        console.log(`Пользователей с расхождениями: ${result.mismatches.length}`);
+      } else {
+        console.log(`Пересчитано пользователей: ${result.updated}`);
+      }
+    })
+    .catch(err => console.error('Ошибка пересчёта окон:', err))
+    .finally(() => mongoose.disconnect());
+}
@@ -2,27 +2,135 @@ const tabs = document.querySelectorAll('.profile-tab');
 const tabContents = document.querySelectorAll('.profile-tab-content');
 const profileStatsContainer = document.querySelector('.profile-stats');
 const profileStaffStatsContainer = document.querySelector('.profile-staff-stats');
+const generatorsContainer = document.querySelector('.profile-generators');
+const roleHistoryContainer = document.querySelector('.profile-role-history');
+const activityContainer = document.querySelector('.profile-activity');
 const achievementsContainer = document.querySelector('.profile-achievements');
+const questContainers = document.querySelectorAll('.profile-quests');
 const profileUsername = document.querySelector('.profile-username');
 const profileUserId = document.querySelector('.profile-user-id');
 const profileAvatar = document.querySelector('.profile-avatar');
 const profileHeader = document.querySelector('.profile-header');
 const shopItemsContainer = document.querySelector('.shop-items');
+const inventoryContainer = document.querySelector('.profile-inventory');
+const lootboxesContainer = document.querySelector('.profile-lootboxes');
+const lootboxOpeningsContainer = document.querySelector('.profile-lootbox-openings');
+const manageShopItemsContainer = document.querySelector('.manage-shop-items');
+const manageShopAuditContainer = document.querySelector('.manage-shop-audit');
+const manageShopForm = document.querySelector('.manage-shop-form');
+const historyContainer = document.querySelector('.profile-history');
+const historyMoreButton = document.querySelector('.history-more-button');
+const hallOfFameContainer = document.querySelector('.hall-of-fame-entries');
+const hallOfFamePeriodSelect = document.querySelector('.hall-of-fame-period');
+const hallOfFameCategorySelect = document.querySelector('.hall-of-fame-category');
+const hallOfFameMoreButton = document.querySelector('.hall-of-fame-more-button');
+const seasonSelect = document.querySelector('.season-select');
+const seasonMetricSelect = document.querySelector('.season-metric');
+const seasonInfo = document.querySelector('.season-info');
+const seasonStandingsBody = document.querySelector('#season-standings tbody');
+const seasonMoreButton = document.querySelector('.season-more-button');
 const errorContainer = document.getElementById('error-container');
 
 let shopDataCache = null; 
 let cachedUuid = null;
 let cachedProfileData = {};
+let historyPage = 0;
+let hallOfFamePage = 0;
+let seasonStandingsPage = 0;
+let currentPromoCode = null;
+let boostCountdownInterval = null;
+
+const DEFAULT_GUILD_ID = '1043562997966188645';
+const currentGuildId = new URLSearchParams(window.location.search).get('guild') || DEFAULT_GUILD_ID;
+let guildConfig = { staffRoles: [], discountRoles: [], shop: { enabled: true, weekendDiscount: 0 } };
+
+const transactionTypeNames = {
+    purchase: '🛒 Покупка',
+    refund: '↩️ Возврат',
+    boost: '🚀 Буст',
+    lootbox: '🎁 Лутбокс',
+    achievement: '🏆 Достижение',
+    admin_grant: '🛠️ Начисление администрацией',
+    generator: '⚙️ Генератор',
+    season_reward: '🏅 Награда сезона',
+    quest: '📜 Задание',
+};
+
+async function fetchGuildConfig(guildId) {
+    try {
+        const response = await fetch(`http://localhost:3000/guilds/${guildId}/config`);
+        if (!response.ok) {
+            throw new Error(`Ошибка при получении настроек сервера: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error("Ошибка в fetchGuildConfig:", error);
+        return null;
+    }
+}
+
+function applyGuildTheme(theme) {
+    if (!theme) return;
+    const root = document.documentElement;
+    if (theme.primaryColor) root.style.setProperty('--primary-color', theme.primaryColor);
+    if (theme.accentColor) root.style.setProperty('--accent-color', theme.accentColor);
+    if (theme.backgroundColor) root.style.setProperty('--background-color', theme.backgroundColor);
+}
+
+const purchaseReasonMessages = {
+    PROMO_NOT_FOUND: 'Промокод не найден',
+    PROMO_NOT_STARTED: 'Промокод ещё не действует',
+    PROMO_EXPIRED: 'Срок действия промокода истёк',
+    PROMO_EXHAUSTED: 'Промокод закончился',
+    PROMO_ALREADY_USED: 'Вы уже использовали этот промокод',
+    PROMO_LOGIN_REQUIRED: 'Войдите, чтобы применить промокод',
+    PROMO_NOT_APPLICABLE: 'Промокод не действует на этот товар',
+    OUT_OF_STOCK: 'Нет в наличии',
+    UNIQUE_OWNED: 'Уже куплено: товар уникальный',
+    USER_LIMIT: 'Достигнут лимит покупок',
+    DAILY_LIMIT: 'Дневной лимит исчерпан, приходите завтра',
+    INSUFFICIENT_STARS: 'Недостаточно звёзд',
+};
+
+const lootboxRarityNames = {
+    regular: 'Обычный',
+    epic: 'Эпический',
+    legendary: 'Легендарный',
+};
+const lootboxCounterFields = {
+    regular: 'regularLootboxCount',
+    epic: 'epicLootboxCount',
+    legendary: 'legendaryLootboxCount',
+};
+
+function describeItemEffect(effect) {
+    if (!effect) return '';
+    if (effect.kind === 'boost') return `🚀 Буст +${effect.percentage}% на ${effect.durationMinutes} мин`;
+    if (effect.kind === 'lootbox') return `🎁 ${lootboxRarityNames[effect.rarity] || effect.rarity} лутбокс`;
+    if (effect.kind === 'role') return '🎭 Выдаёт роль на сервере';
+    if (effect.kind === 'generator') return `⚙️ Генератор: ${effect.ratePerHour} ⭐/ч, вмещает ${effect.storageCap} ⭐`;
+    return '';
+}
 
-const allowedRoleIds = ['1043565185509630022', '1243243180800082001', '1075072592005824563', '1043614651444899991', '1043615386660257872'];
-const roleToPosition = {
-    '1043615386660257872': '🐞 Хелпер',
-    '1043614651444899991': '👾 Модератор',
-    '1075072592005824563': '💎 Старший модератор',
-    '1243243180800082001': '🔧 Тех Админ',
-    '1043565185509630022': '🛠️ Админ',
+const shopAuditActionNames = {
+    create: 'создал',
+    update: 'изменил',
+    hide: 'скрыл',
+    show: 'вернул в продажу',
+    delete: 'удалил',
+    restock: 'пополнил',
 };
 
+function isGuildAdmin(roles) {
+    if (!roles) return false;
+    return guildConfig.staffRoles.some(staffRole => staffRole.isAdmin && roles.includes(staffRole.roleId));
+}
+
+function getHighestStaffRole(roles) {
+    if (!roles) return null;
+    return guildConfig.staffRoles.find(staffRole => roles.includes(staffRole.roleId)) || null;
+}
+
 function displayErrorMessage(message) {
   const profileTabContent = document.querySelector('.profile-tab-content.hidden');
     if (profileTabContent) {
@@ -52,7 +160,7 @@ async function fetchProfileData(uuid) {
       return cachedProfileData[uuid];
     }
     try {
-      const response = await fetch(`http://localhost:3000/profile/${uuid}`);
+      const response = await fetch(`http://localhost:3000/profile/${uuid}?guild=${currentGuildId}`, { credentials: 'include' });
       if (!response.ok) {
         const errorText = await response.text();
         console.error("Ошибка при получении данных профиля:", response.status, response.statusText, errorText);
@@ -70,6 +178,7 @@ async function fetchProfileData(uuid) {
       }
       const data = await response.json();
       console.log("Полученные данные профиля:", data);
+      data.receivedAt = Date.now();
       cachedProfileData[uuid] = data;
       return data;
     } catch (error) {
@@ -81,6 +190,22 @@ async function fetchProfileData(uuid) {
     }
   }
 
+async function fetchCurrentUser() {
+    try {
+        const response = await fetch('http://localhost:3000/me', { credentials: 'include' });
+        if (response.status === 401) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Ошибка при получении текущего пользователя: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error("Ошибка в fetchCurrentUser:", error);
+        return null;
+    }
+}
+
 async function fetchAchievementsData(uuid) {
     console.log(`функция fetchAchievementsData(${uuid}) вызвана`);
     try {
@@ -103,30 +228,54 @@ function isMessagesTabActive() {
     return document.querySelector('.profile-tab[data-tab="stats"]').classList.contains('active');
 }
 
+// Сервер отдаёт null вместо места, если участник убрал себя из рейтингов
+function formatRank(rank) {
+    return rank || 'скрыто';
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+// Отсчёт ведётся от remainingMs сервера, чтобы не зависеть от часов клиента
+function startBoostCountdown(data) {
+    clearInterval(boostCountdownInterval);
+    const element = profileStatsContainer.querySelector('.boost-countdown');
+    if (!element || !data.activeStarBoost) return;
+
+    const endsAt = (data.receivedAt || Date.now()) + data.activeStarBoost.remainingMs;
+    const update = () => {
+        const remaining = endsAt - Date.now();
+        if (remaining <= 0) {
+            clearInterval(boostCountdownInterval);
+            element.textContent = 'Нет';
+            return;
+        }
+        element.textContent = `+${data.activeStarBoost.percentage}% (осталось ${formatDuration(remaining)})`;
+    };
+    update();
+    boostCountdownInterval = setInterval(update, 1000);
+}
+
 function displayProfileData(data) {
     if (!data || Object.keys(data).length === 0) return;
 
-    if (data.userAvatar) {
-        profileAvatar.src = `https://cdn.discordapp.com/avatars/${data.userId}/${data.userAvatar}.png`;
+    if (data.avatarUrl) {
+        profileAvatar.src = data.avatarUrl;
         profileAvatar.style.display = 'block';
     } else {
         profileAvatar.style.display = 'none';
     }
     profileUsername.textContent = `Добро пожаловать, ${data.username}!`;
 
-    profileUserId.textContent = `ID: ${data.userId}`;
+    profileUserId.textContent = data.userId ? `ID: ${data.userId}` : '';
+    const hiddenFields = data.hiddenFields || [];
 
-    let highestUserPosition = '';
-    let highestRoleId = '';
-    if (data.roles && data.roles.length > 0) {
-        for (const roleId of allowedRoleIds) {
-            if (data.roles.includes(roleId)) {
-                highestUserPosition = roleToPosition[roleId];
-                highestRoleId = roleId;
-                break;
-            }
-        }
-    }
+    const highestStaffRole = getHighestStaffRole(data.roles);
 
     let positionElement = document.querySelector('.profile-user-position');
     if (!positionElement) {
@@ -135,34 +284,25 @@ function displayProfileData(data) {
         profileHeader.appendChild(positionElement);
     }
 
-    if (highestUserPosition) {
-        positionElement.textContent = highestUserPosition;
+    if (highestStaffRole) {
+        const currentInterval = (data.roleHistory || []).find(interval => interval.roleId === highestStaffRole.roleId && !interval.endedAt);
+        positionElement.textContent = currentInterval
+            ? `${highestStaffRole.name} с ${new Date(currentInterval.startedAt).toLocaleDateString('ru-RU')}`
+            : highestStaffRole.name;
         positionElement.style.display = 'block';
 
-        if (highestRoleId === '1243243180800082001') {
-            positionElement.classList.add('tech-admin');
-        } else {
-            positionElement.classList.remove('tech-admin');
+        positionElement.className = 'profile-user-position';
+        if (highestStaffRole.className) {
+            positionElement.classList.add(highestStaffRole.className);
         }
 
     } else {
         positionElement.style.display = 'none';
     }
 
-    console.log("data.activeStarBoost:", data.activeStarBoost);
-    if (data.activeStarBoost) {
-      console.log("data.activeStarBoost.expiresAt:", data.activeStarBoost.expiresAt);
-    }
-    console.log("Date.now():", Date.now());
-
     const statsBlocks = [
-        { name: 'Баланс', value: `${data.stars.toFixed(2)} ⭐` },
-        {
-            name: 'Буст',
-            value: data.activeStarBoost && new Date(data.activeStarBoost.expiresAt).getTime() > Date.now()
-              ? `+${data.activeStarBoost.percentage}% (до ${new Date(data.activeStarBoost.expiresAt).toLocaleTimeString('ru-RU')})`
-              : 'Нет'
-          },
+        { name: 'Баланс', value: hiddenFields.includes('balance') ? 'Скрыт' : `${data.stars.toFixed(2)} ⭐` },
+        { name: 'Буст', value: hiddenFields.includes('balance') ? 'Скрыт' : 'Нет', className: 'boost-countdown' },
         {
             name: 'Сообщения', value: [
                 { period: 'За все время', count: data.totalMessages },
@@ -171,7 +311,13 @@ function displayProfileData(data) {
                 { period: 'За 30 дней', count: data.messagesLast30Days, average: (data.messagesLast30Days / 30).toFixed(0) }
             ],
         },
-        { name: 'Полученных мьютов', value: data.totalMuteCount },
+        {
+            name: 'Голос', value: [
+                { type: 'Всего', count: formatVoiceTime(data.voiceTime) || '0 мин' },
+                { type: 'Самая долгая сессия', count: formatVoiceTime(data.longestVoiceSession) || '0 мин' }
+            ]
+        },
+        { name: 'Полученных мьютов', value: hiddenFields.includes('staffStats') ? 'Скрыто' : data.totalMuteCount },
         {
             name: 'Лутбоксы', value: [
                 { type: 'Всего', count: data.totalLootboxCount },
@@ -182,10 +328,18 @@ function displayProfileData(data) {
         },
         {
             name: 'Место в рейтинге', value: [
-                { period: 'За всё время', rank: data.userRankAllTime },
-                { period: 'За 24 часа', rank: data.userRankToday },
-                { period: 'За 7 дней', rank: data.userRankLast7Days },
-                { period: 'За 30 дней', rank: data.userRankLast30Days }
+                { period: 'За всё время', rank: formatRank(data.userRankAllTime) },
+                { period: 'За 24 часа', rank: formatRank(data.userRankToday) },
+                { period: 'За 7 дней', rank: formatRank(data.userRankLast7Days) },
+                { period: 'За 30 дней', rank: formatRank(data.userRankLast30Days) }
+            ],
+            onClick: () => displayRankChart(data.uuid)
+        },
+        {
+            name: 'Другие рейтинги', value: [
+                { type: 'Голос, за всё время', count: formatRank(data.ranks.voice.all) },
+                { type: 'Голос, за 7 дней', count: formatRank(data.ranks.voice['7d']) },
+                ...(data.ranks.stars ? [{ type: 'Звёзды', count: formatRank(data.ranks.stars.all) }] : [])
             ]
         }
     ];
@@ -205,14 +359,14 @@ function displayProfileData(data) {
 
             if (block.name === 'Сообщения') {
                 block.value.forEach((item) => {
-                    if (['За все время', 'За 7 дней', 'За 30 дней'].includes(item.period)) {
+                    if (['За все время', 'За 7 дней', 'За 30 дней'].includes(item.period) && !hiddenFields.includes('activity')) {
                         const valueElement = document.createElement('div');
                         valueElement.classList.add('profile-stat-value');
                         valueElement.innerHTML = `${item.period}: ${item.count || item.rank} ${item.average ? `(в среднем ${item.average})` : ''}`;
 
                         valueElement.style.cursor = 'pointer';
                         valueElement.style.color = '#00FFFF';
-                        valueElement.addEventListener('click', () => displayMessagesChart(data.userId, item.period === 'За все время' ? 'all' : item.period === 'За 7 дней' ? '7days' : '30days'));
+                        valueElement.addEventListener('click', () => displayMessagesChart(data.uuid, item.period === 'За все время' ? 'all' : item.period === 'За 7 дней' ? '7days' : '30days'));
                         blockElement.appendChild(valueElement);
                     } else {
                         const valueElement = document.createElement('div');
@@ -240,6 +394,15 @@ function displayProfileData(data) {
                     }).join('<br>');
                 } else {
                     valueElement.textContent = block.value;
+                    if (block.className) {
+                        valueElement.classList.add(block.className);
+                    }
+                }
+
+                if (block.onClick) {
+                    valueElement.style.cursor = 'pointer';
+                    valueElement.style.color = '#00FFFF';
+                    valueElement.addEventListener('click', block.onClick);
                 }
 
                 blockElement.appendChild(valueElement);
@@ -248,7 +411,16 @@ function displayProfileData(data) {
             profileStatsContainer.appendChild(blockElement);
         });
 
-        if (allowedRoleIds.some(roleId => data.roles && data.roles.includes(roleId))) {
+        startBoostCountdown(data);
+        displayGenerators(data);
+        displayRoleHistory(data);
+        if (!hiddenFields.includes('activity')) {
+            displayActivity(data.uuid);
+        } else {
+            activityContainer.innerHTML = '';
+        }
+
+        if (highestStaffRole && !hiddenFields.includes('staffStats')) {
             const staffStatsBlocks = [
                 {
                     name: 'Использование команд', value: [
@@ -305,21 +477,33 @@ function displayAchievementsData(achievements) {
 
         const nameElement = document.createElement('div');
         nameElement.classList.add('profile-achievement-name');
-        nameElement.textContent = achievement.description;
+        nameElement.textContent = `${achievement.icon || ''} ${achievement.description}`.trim();
         achievementElement.appendChild(nameElement);
 
         const descriptionElement = document.createElement('div');
         descriptionElement.classList.add('profile-achievement-description');
+        if (achievement.completed && achievement.unlockedAt) {
+            descriptionElement.textContent = `Получено ${new Date(achievement.unlockedAt).toLocaleDateString('ru-RU')}`;
+        } else if (achievement.reward && achievement.reward.stars > 0) {
+            descriptionElement.textContent = `Награда: ${achievement.reward.stars} ⭐`;
+        }
         achievementElement.appendChild(descriptionElement);
 
-        if (achievement.name === 'message_master' || achievement.name === 'voice_time_10s') {
+        if (achievement.kind === 'rank' && !achievement.completed) {
+            const rankElement = document.createElement('div');
+            rankElement.classList.add('message-count');
+            rankElement.textContent = `Место: ${achievement.progress} (нужно топ ${achievement.target})`;
+            achievementElement.appendChild(rankElement);
+        }
+
+        if (achievement.kind === 'counter' && achievement.target) {
             const progressContainer = document.createElement('div');
             progressContainer.classList.add('progress-bar-container');
             achievementElement.appendChild(progressContainer);
 
             const progressBar = document.createElement('div');
             progressBar.classList.add('progress-bar');
-            const percentage = achievement.target ? (achievement.progress / achievement.target) * 100 : 0;
+            const percentage = Math.min(100, (achievement.progress / achievement.target) * 100);
             progressBar.style.width = `${percentage}%`;
             progressContainer.appendChild(progressBar);
 
@@ -341,9 +525,120 @@ function displayAchievementsData(achievements) {
     });
 }
 
-async function fetchLeaderboardData(sortBy) {
+async function fetchQuests() {
+    try {
+        const response = await fetch(`http://localhost:3000/quests?guild=${currentGuildId}`, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Ошибка при получении заданий: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error("Ошибка в fetchQuests:", error);
+        return null;
+    }
+}
+
+function formatQuestProgress(quest) {
+    // Время в голосе считается в секундах
+    if (quest.field === 'voiceTime') {
+        return `${formatVoiceTime(quest.progress) || '0 мин'} / ${formatVoiceTime(quest.target)}`;
+    }
+    return `${quest.progress}/${quest.target}`;
+}
+
+async function displayQuests(uuid) {
+    const quests = await fetchQuests();
+    questContainers.forEach(container => {
+        container.innerHTML = '';
+        if (!quests) {
+            container.textContent = 'Не удалось загрузить задания';
+            return;
+        }
+
+        const periodQuests = quests[container.dataset.period] || [];
+        if (periodQuests.length === 0) {
+            container.textContent = 'Заданий пока нет';
+        }
+
+        periodQuests.forEach(quest => {
+            const questElement = document.createElement('div');
+            questElement.classList.add('profile-achievement', 'profile-quest');
+
+            const nameElement = document.createElement('div');
+            nameElement.classList.add('profile-achievement-name');
+            nameElement.textContent = `${quest.icon || ''} ${quest.description}`.trim();
+            questElement.appendChild(nameElement);
+
+            const descriptionElement = document.createElement('div');
+            descriptionElement.classList.add('profile-achievement-description');
+            descriptionElement.textContent = quest.claimedAt
+                ? `Награда получена ${new Date(quest.claimedAt).toLocaleDateString('ru-RU')}`
+                : `Награда: ${quest.reward.stars} ⭐ · до ${new Date(quest.periodEnd).toLocaleDateString('ru-RU')}`;
+            questElement.appendChild(descriptionElement);
+
+            const progressContainer = document.createElement('div');
+            progressContainer.classList.add('progress-bar-container');
+            questElement.appendChild(progressContainer);
+
+            const progressBar = document.createElement('div');
+            progressBar.classList.add('progress-bar');
+            progressBar.style.width = `${Math.min(100, (quest.progress / quest.target) * 100)}%`;
+            progressContainer.appendChild(progressBar);
+
+            const progressElement = document.createElement('div');
+            progressElement.classList.add('message-count');
+            progressElement.textContent = formatQuestProgress(quest);
+            questElement.appendChild(progressElement);
+
+            if (quest.claimedAt) {
+                nameElement.classList.add('completed');
+                const checkmark = document.createElement('span');
+                checkmark.classList.add('checkmark');
+                checkmark.textContent = '✔';
+                questElement.appendChild(checkmark);
+            } else if (quest.completed) {
+                const claimButton = document.createElement('button');
+                claimButton.classList.add('shop-item-buy-button');
+                claimButton.textContent = 'Забрать награду';
+                claimButton.addEventListener('click', () => claimQuest(uuid, quest._id));
+                questElement.appendChild(claimButton);
+            }
+
+            container.appendChild(questElement);
+        });
+    });
+}
+
+async function claimQuest(uuid, questId) {
+    try {
+        const response = await fetch(`http://localhost:3000/quests/${questId}/claim`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ guild: currentGuildId }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Ошибка при получении награды за задание');
+        }
+        alert(data.message);
+
+        cachedProfileData[uuid] = null;
+        await displayQuests(uuid);
+    } catch (error) {
+        console.error("Ошибка в claimQuest:", error);
+        alert(error.message);
+    }
+}
+
+async function fetchLeaderboardData(metric, period, around) {
     try {
-        const response = await fetch(`http://localhost:3000/leaderboard?sortBy=${sortBy}`)
+        const params = new URLSearchParams({ metric, period, guild: currentGuildId });
+        if (around) params.set('around', around);
+
+        const response = await fetch(`http://localhost:3000/leaderboard?${params}`)
         if (!response.ok) {
             throw new Error('Ошибка при получении данных для таблицы лидеров');
         }
@@ -353,12 +648,26 @@ async function fetchLeaderboardData(sortBy) {
         return data;
     } catch (error) {
         console.error(error);
+        return [];
+    }
+}
+
+async function fetchVoiceByDate(uuid) {
+    try {
+        const response = await fetch(`http://localhost:3000/profile/${uuid}/voiceByDate?guild=${currentGuildId}`, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Ошибка при получении данных о голосе по дням: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error(error);
+        return null;
     }
 }
 
 async function fetchMessagesByDate(uuid) {
     try {
-        const response = await fetch(`http://localhost:3000/profile/${uuid}/messagesByDate`);
+        const response = await fetch(`http://localhost:3000/profile/${uuid}/messagesByDate?guild=${currentGuildId}`, { credentials: 'include' });
         if (!response.ok) {
             const errorText = await response.text();
             throw new Error(`Ошибка при получении данных о сообщениях по дням: ${response.status} ${response.statusText} - ${errorText}`);
@@ -377,7 +686,8 @@ async function fetchShopData() {
         return shopDataCache;
     }
     try {
-        const response = await fetch(`http://localhost:3000/shop`);
+        const promoQuery = currentPromoCode ? `&promo=${encodeURIComponent(currentPromoCode)}` : '';
+        const response = await fetch(`http://localhost:3000/shop/quote?guild=${currentGuildId}${promoQuery}`, { credentials: 'include' });
         if (!response.ok) {
             const errorText = await response.text();
             console.error(`Ошибка при получении данных магазина: ${response.status} ${response.statusText} - ${errorText}`);
@@ -399,8 +709,8 @@ async function displayShopData(uuid) {
         return;
     }
 
-    const shopData = await fetchShopData();
-    if (!shopData) return;
+    const quote = await fetchShopData();
+    if (!quote) return;
 
     if (shopItemsContainer.firstChild) {
         shopItemsContainer.innerHTML = '';
@@ -413,28 +723,30 @@ async function displayShopData(uuid) {
     }
     const userStars = profileData.stars;
 
-    const today = new Date();
-    const isWeekend = today.getDay() === 6 || today.getDay() === 0;
-
-    const hasDiscountRole = profileData.roles.includes('1260383669839724634');
-
     const discountInfoContainer = document.querySelector('.shop-discount-info');
     discountInfoContainer.innerHTML = '';
 
-    if (hasDiscountRole || isWeekend) {
+    const shopWideDiscounts = quote.discounts.filter(discount => !discount.itemIds || discount.itemIds.length === 0);
+    shopWideDiscounts.forEach(discount => {
         const discountInfoElement = document.createElement('div');
-        let discountReasonText = '';
-        if (hasDiscountRole) {
-            discountReasonText += 'У вас есть роль, дающая скидку 20%!<br>';
-        }
-        if (isWeekend) {
-            discountReasonText += 'В выходные дни действует скидка 5%!';
+        discountInfoElement.textContent = `${discount.label}: −${discount.percentage}%`;
+        if (discount.endsAt) {
+            discountInfoElement.textContent += ` (до ${new Date(discount.endsAt).toLocaleString('ru-RU')})`;
         }
-        discountInfoElement.innerHTML = discountReasonText;
         discountInfoContainer.appendChild(discountInfoElement);
+    });
+
+    const promoStatusElement = document.querySelector('.shop-promo-status');
+    if (quote.promo) {
+        promoStatusElement.textContent = quote.promo.valid
+            ? `Промокод ${quote.promo.code} применён`
+            : purchaseReasonMessages[quote.promo.reason] || quote.promo.reason;
+        promoStatusElement.classList.toggle('invalid', !quote.promo.valid);
+    } else {
+        promoStatusElement.textContent = '';
     }
 
-    shopData.forEach(item => {
+    quote.items.forEach(item => {
         const itemElement = document.createElement('div');
         itemElement.classList.add('shop-item');
 
@@ -445,17 +757,10 @@ async function displayShopData(uuid) {
 
         const priceElement = document.createElement('div');
         priceElement.classList.add('shop-item-price');
-        let originalPrice = item.price;
-        let discountedPrice = originalPrice;
-        if (hasDiscountRole) {
-            discountedPrice = Math.round(originalPrice * (1 - 20 / 100));
-        }
-
-        if (isWeekend) {
-            discountedPrice = Math.round(discountedPrice * (1 - 0.05));
-        }
+        const originalPrice = item.basePrice;
+        const discountedPrice = item.unitPrice;
 
-        if (hasDiscountRole || isWeekend) {
+        if (discountedPrice < originalPrice) {
             priceElement.innerHTML = `<span class="strike">Цена: ${originalPrice} ⭐</span>`;
 
             const newPriceElement = document.createElement('span');
@@ -469,6 +774,13 @@ async function displayShopData(uuid) {
 
         itemElement.appendChild(priceElement);
 
+        if (item.discounts.length > 0) {
+            const discountReasonElement = document.createElement('div');
+            discountReasonElement.classList.add('shop-item-discount-reason');
+            discountReasonElement.textContent = item.discounts.map(discount => `${discount.label} −${discount.percentage}%`).join(', ');
+            itemElement.appendChild(discountReasonElement);
+        }
+
         const stockElement = document.createElement('div');
         stockElement.classList.add('shop-item-stock');
         stockElement.textContent = `В наличии: ${item.stock === -1 ? '∞' : item.stock} шт.`;
@@ -477,6 +789,10 @@ async function displayShopData(uuid) {
         itemElement.appendChild(priceElement);
         itemElement.appendChild(stockElement);
 
+        const limitReasonElement = document.createElement('div');
+        limitReasonElement.classList.add('shop-item-limit-reason');
+        itemElement.appendChild(limitReasonElement);
+
         const buySection = document.createElement('div');
         buySection.classList.add('buy-section');
         itemElement.appendChild(buySection);
@@ -484,7 +800,6 @@ async function displayShopData(uuid) {
         const buyButton = document.createElement('button');
         buyButton.classList.add('shop-item-buy-button');
         buyButton.textContent = 'Купить';
-        buyButton.disabled = userStars < discountedPrice;
         buyButton.addEventListener('click', () => buyItem(uuid, item.name, quantity));
 
         const quantityControls = document.createElement('div');
@@ -514,7 +829,17 @@ async function displayShopData(uuid) {
             quantity = newQuantity;
             quantityValue.textContent = quantity;
 
-            buyButton.disabled = userStars < discountedPrice * quantity || (item.stock !== -1 && item.stock < quantity);
+            let reason = item.unavailableReason;
+            if (!reason && item.remaining !== null && quantity > item.remaining) {
+                reason = item.stock !== -1 && quantity > item.stock ? 'OUT_OF_STOCK' : 'USER_LIMIT';
+            }
+            if (!reason && userStars < discountedPrice * quantity) {
+                reason = 'INSUFFICIENT_STARS';
+            }
+
+            buyButton.disabled = Boolean(reason);
+            limitReasonElement.textContent = reason ? purchaseReasonMessages[reason] || reason : '';
+            plusButton.disabled = item.remaining !== null && quantity >= item.remaining;
         }
 
         minusButton.addEventListener('click', () => {
@@ -525,41 +850,51 @@ async function displayShopData(uuid) {
             updateQuantity(quantity + 1);
         });
 
+        updateQuantity(1);
+
         itemElement.appendChild(buySection);
         shopItemsContainer.appendChild(itemElement);
     });
 }
 
+document.querySelector('.shop-promo-button').addEventListener('click', async () => {
+    const code = document.querySelector('.shop-promo-input').value.trim();
+    currentPromoCode = code || null;
+    shopDataCache = null;
+    if (cachedUuid) {
+        await displayShopData(cachedUuid);
+    }
+});
+
 async function buyItem(uuid, itemName, quantity) {
     console.log(`функция buyItem(${uuid}, ${itemName}, ${quantity}) вызвана`);
     try {
-        let userId = localStorage.getItem('userId');
-
-        if (!userId) {
-            const profileData = await fetchProfileData(uuid);
-            userId = profileData.userId;
-            localStorage.setItem('userId', userId);
-        }
-        console.log("userId:", userId);
-
         const response = await fetch('http://localhost:3000/buy', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ uuid, userId, itemName, quantity }),
+            credentials: 'include',
+            body: JSON.stringify({ guild: currentGuildId, itemName, quantity, promo: currentPromoCode }),
         });
 
+        if (response.status === 401) {
+            showLoginButton();
+            throw new Error('Сессия истекла, войдите через Discord ещё раз');
+        }
+
         if (!response.ok) {
             const errorData = await response.json();
             console.error("Ошибка при покупке товара:", response.status, response.statusText, errorData);
-            throw new Error(errorData.error || 'Ошибка при покупке товара');
+            throw new Error(purchaseReasonMessages[errorData.reason] || errorData.error || 'Ошибка при покупке товара');
         }
 
         const data = await response.json();
         console.log("Результат покупки:", data);
         alert(data.message);
 
+        currentPromoCode = null;
+        document.querySelector('.shop-promo-input').value = '';
         cachedProfileData[uuid] = null; 
 
         const updatedProfileData = await fetchProfileData(uuid);
@@ -573,16 +908,546 @@ async function buyItem(uuid, itemName, quantity) {
     }
 }
 
+async function fetchInventory(uuid) {
+    try {
+        const response = await fetch(`http://localhost:3000/inventory/${uuid}`, { credentials: 'include' });
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Ошибка при получении инвентаря: ${response.status} ${response.statusText} - ${errorText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error("Ошибка в fetchInventory:", error);
+        return null;
+    }
+}
+
+async function displayInventory(uuid) {
+    await displayLootboxes(uuid);
+    const inventory = await fetchInventory(uuid);
+    inventoryContainer.innerHTML = '';
+    if (!inventory) {
+        inventoryContainer.textContent = 'Не удалось загрузить инвентарь';
+        return;
+    }
+    if (inventory.length === 0) {
+        inventoryContainer.textContent = 'Инвентарь пуст. Загляните в магазин!';
+        return;
+    }
+
+    inventory.forEach(entry => {
+        const itemElement = document.createElement('div');
+        itemElement.classList.add('shop-item', 'inventory-item');
+
+        const nameElement = document.createElement('div');
+        nameElement.classList.add('shop-item-name');
+        nameElement.textContent = entry.itemName;
+        itemElement.appendChild(nameElement);
+
+        const effectElement = document.createElement('div');
+        effectElement.classList.add('shop-item-price');
+        effectElement.textContent = describeItemEffect(entry.effect);
+        itemElement.appendChild(effectElement);
+
+        const quantityElement = document.createElement('div');
+        quantityElement.classList.add('shop-item-stock');
+        quantityElement.textContent = `Количество: ${entry.quantity} шт.`;
+        itemElement.appendChild(quantityElement);
+
+        if (entry.effect) {
+            const useButton = document.createElement('button');
+            useButton.classList.add('shop-item-buy-button');
+            useButton.textContent = 'Использовать';
+            useButton.addEventListener('click', async () => {
+                useButton.disabled = true;
+                await useInventoryItem(uuid, entry.itemId);
+            });
+            itemElement.appendChild(useButton);
+        }
+
+        inventoryContainer.appendChild(itemElement);
+    });
+}
+
+function displayGenerators(data) {
+    generatorsContainer.innerHTML = '';
+    const generators = data.generators;
+    if (!generators || generators.list.length === 0) return;
+
+    const title = document.createElement('h3');
+    title.textContent = `Генераторы (${generators.totalRatePerHour} ⭐/ч)`;
+    generatorsContainer.appendChild(title);
+
+    // Одинаковые генераторы показываются одной строкой
+    const groups = new Map();
+    generators.list.forEach(generator => {
+        const group = groups.get(generator.name) || { ...generator, count: 0, unclaimed: 0, storageCap: 0 };
+        group.count++;
+        group.unclaimed += generator.unclaimed;
+        group.storageCap += generator.storageCap;
+        groups.set(generator.name, group);
+    });
+
+    groups.forEach(group => {
+        const element = document.createElement('div');
+        element.classList.add('generator-entry');
+        element.textContent = `${group.name} ×${group.count}: ${group.ratePerHour} ⭐/ч, накоплено ${group.unclaimed} / ${group.storageCap} ⭐`;
+        generatorsContainer.appendChild(element);
+    });
+
+    if (data.uuid === cachedUuid) {
+        const claimButton = document.createElement('button');
+        claimButton.classList.add('shop-item-buy-button');
+        claimButton.textContent = `Собрать ${generators.totalUnclaimed} ⭐`;
+        claimButton.disabled = generators.totalUnclaimed <= 0;
+        claimButton.addEventListener('click', () => claimGenerators(data.uuid));
+        generatorsContainer.appendChild(claimButton);
+    }
+}
+
+const weekdayNames = ['понедельник', 'вторник', 'среда', 'четверг', 'пятница', 'суббота', 'воскресенье'];
+let cachedActivityData = {};
+
+async function fetchActivity(uuid) {
+    if (cachedActivityData[uuid]) {
+        return cachedActivityData[uuid];
+    }
+    try {
+        const response = await fetch(`http://localhost:3000/profile/${uuid}/activity?guild=${currentGuildId}`, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Ошибка при получении активности: ${response.status} ${response.statusText}`);
+        }
+        cachedActivityData[uuid] = await response.json();
+        return cachedActivityData[uuid];
+    } catch (error) {
+        console.error("Ошибка в fetchActivity:", error);
+        return null;
+    }
+}
+
+async function displayActivity(uuid) {
+    const activity = await fetchActivity(uuid);
+    activityContainer.innerHTML = '';
+    if (!activity) return;
+
+    const summary = document.createElement('div');
+    summary.classList.add('activity-summary');
+    const lines = [
+        `Текущая серия: ${activity.currentStreak} дн.`,
+        `Рекордная серия: ${activity.longestStreak} дн.`
+    ];
+    if (activity.mostActiveWeekday !== null) {
+        lines.push(`Самый активный день недели: ${weekdayNames[activity.mostActiveWeekday]}`);
+    }
+    if (activity.busiestDay) {
+        lines.push(`Рекорд: ${activity.busiestDay.count} сообщений ${new Date(activity.busiestDay.date).toLocaleDateString('ru-RU')}`);
+    }
+    summary.innerHTML = lines.join('<br>');
+    activityContainer.appendChild(summary);
+
+    // Колонка - неделя, строка - день недели; from всегда понедельник
+    const heatmap = document.createElement('div');
+    heatmap.classList.add('activity-heatmap');
+    const max = Math.max(...activity.counts, 1);
+    const from = new Date(activity.from);
+
+    activity.counts.forEach((count, index) => {
+        const cell = document.createElement('div');
+        cell.classList.add('activity-cell', `level-${count === 0 ? 0 : Math.ceil(count / max * 4)}`);
+        const date = new Date(from.getTime() + index * 24 * 60 * 60 * 1000);
+        cell.title = `${date.toLocaleDateString('ru-RU')}: ${count}`;
+        heatmap.appendChild(cell);
+    });
+    activityContainer.appendChild(heatmap);
+}
+
+function displayRoleHistory(data) {
+    roleHistoryContainer.innerHTML = '';
+    const pastRoles = (data.roleHistory || [])
+        .filter(interval => interval.endedAt)
+        .sort((a, b) => new Date(b.endedAt) - new Date(a.endedAt));
+    if (pastRoles.length === 0) return;
+
+    const title = document.createElement('h3');
+    title.textContent = 'Прошлые роли';
+    roleHistoryContainer.appendChild(title);
+
+    pastRoles.forEach(interval => {
+        const role = guildConfig.staffRoles.find(staffRole => staffRole.roleId === interval.roleId);
+        const element = document.createElement('div');
+        element.classList.add('role-history-entry');
+        if (role && role.className) {
+            element.classList.add(role.className);
+        }
+        const from = new Date(interval.startedAt).toLocaleDateString('ru-RU');
+        const to = new Date(interval.endedAt).toLocaleDateString('ru-RU');
+        element.textContent = `${role ? role.name : interval.roleId}: ${from} – ${to}`;
+        roleHistoryContainer.appendChild(element);
+    });
+}
+
+async function claimGenerators(uuid) {
+    try {
+        const response = await fetch('http://localhost:3000/generators/claim', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ guild: currentGuildId }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Ошибка при сборе с генераторов');
+        }
+        alert(data.message);
+
+        cachedProfileData[uuid] = null;
+        displayProfileData(await fetchProfileData(uuid));
+    } catch (error) {
+        console.error("Ошибка в claimGenerators:", error);
+        alert(error.message);
+    }
+}
+
+async function useInventoryItem(uuid, itemId) {
+    try {
+        const response = await fetch('http://localhost:3000/inventory/use', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ guild: currentGuildId, itemId }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Ошибка при использовании предмета');
+        }
+        alert(data.message);
+
+        cachedProfileData[uuid] = null;
+        displayProfileData(await fetchProfileData(uuid));
+    } catch (error) {
+        console.error("Ошибка в useInventoryItem:", error);
+        alert(error.message);
+    }
+    await displayInventory(uuid);
+}
+
+async function fetchLootboxOpenings(uuid) {
+    try {
+        const response = await fetch(`http://localhost:3000/lootboxes/openings/${uuid}`, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Ошибка при получении открытий: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error("Ошибка в fetchLootboxOpenings:", error);
+        return [];
+    }
+}
+
+async function displayLootboxes(uuid) {
+    const profileData = await fetchProfileData(uuid);
+    lootboxesContainer.innerHTML = '';
+
+    Object.entries(lootboxCounterFields).forEach(([rarity, field]) => {
+        const count = profileData[field] || 0;
+        if (count <= 0) return;
+
+        const lootboxElement = document.createElement('div');
+        lootboxElement.classList.add('lootbox-entry');
+        lootboxElement.textContent = `🎁 ${lootboxRarityNames[rarity]}: ${count} шт.`;
+
+        const openButton = document.createElement('button');
+        openButton.classList.add('shop-item-buy-button');
+        openButton.textContent = 'Открыть';
+        openButton.addEventListener('click', async () => {
+            openButton.disabled = true;
+            await openLootbox(uuid, rarity);
+        });
+        lootboxElement.appendChild(openButton);
+
+        lootboxesContainer.appendChild(lootboxElement);
+    });
+
+    const openings = await fetchLootboxOpenings(uuid);
+    lootboxOpeningsContainer.innerHTML = '';
+    if (openings.length === 0) {
+        lootboxOpeningsContainer.textContent = 'Вы ещё не открывали лутбоксы на сайте';
+    }
+    openings.forEach(opening => {
+        const openingElement = document.createElement('div');
+        openingElement.classList.add('history-entry');
+        openingElement.textContent = `${new Date(opening.createdAt).toLocaleString('ru-RU')} — ${lootboxRarityNames[opening.rarity]} лутбокс: ${opening.reward.label} (nonce ${opening.nonce})`;
+        lootboxOpeningsContainer.appendChild(openingElement);
+    });
+}
+
+async function openLootbox(uuid, rarity) {
+    try {
+        const response = await fetch('http://localhost:3000/lootboxes/open', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ guild: currentGuildId, rarity }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Ошибка при открытии лутбокса');
+        }
+        alert(data.message);
+    } catch (error) {
+        console.error("Ошибка в openLootbox:", error);
+        alert(error.message);
+    }
+
+    cachedProfileData[uuid] = null;
+    displayProfileData(await fetchProfileData(uuid));
+    await displayInventory(uuid);
+}
+
+async function fetchTransactions(uuid, page) {
+    try {
+        const response = await fetch(`http://localhost:3000/transactions/${uuid}?page=${page}`, { credentials: 'include' });
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Ошибка при получении истории: ${response.status} ${response.statusText} - ${errorText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error("Ошибка в fetchTransactions:", error);
+        return null;
+    }
+}
+
+async function displayTransactions(uuid, page) {
+    const history = await fetchTransactions(uuid, page);
+    if (!history) {
+        historyContainer.textContent = 'Не удалось загрузить историю';
+        return;
+    }
+
+    if (page === 1) {
+        historyContainer.innerHTML = '';
+        if (history.data.length === 0) {
+            historyContainer.textContent = 'Операций со звёздами пока не было';
+        }
+    }
+
+    history.data.forEach(transaction => {
+        const transactionElement = document.createElement('div');
+        transactionElement.classList.add('history-entry');
+
+        const typeElement = document.createElement('div');
+        typeElement.classList.add('history-entry-type');
+        typeElement.textContent = transactionTypeNames[transaction.type] || transaction.type;
+        if (transaction.item && transaction.item.itemName) {
+            typeElement.textContent += `: ${transaction.item.quantity}x ${transaction.item.itemName}`;
+        }
+        transactionElement.appendChild(typeElement);
+
+        const dateElement = document.createElement('div');
+        dateElement.classList.add('history-entry-date');
+        dateElement.textContent = new Date(transaction.createdAt).toLocaleString('ru-RU');
+        transactionElement.appendChild(dateElement);
+
+        const amountElement = document.createElement('div');
+        amountElement.classList.add('history-entry-amount', transaction.amount < 0 ? 'negative' : 'positive');
+        amountElement.textContent = `${transaction.amount > 0 ? '+' : ''}${Math.round(transaction.amount)} ⭐ → ${Math.round(transaction.balanceAfter)} ⭐`;
+        transactionElement.appendChild(amountElement);
+
+        if (transaction.refundedBy) {
+            transactionElement.classList.add('refunded');
+        }
+
+        historyContainer.appendChild(transactionElement);
+    });
+
+    historyPage = page;
+    historyMoreButton.classList.toggle('hidden', history.page >= history.totalPages);
+}
+
+historyMoreButton.addEventListener('click', () => {
+    if (cachedUuid) {
+        displayTransactions(cachedUuid, historyPage + 1);
+    }
+});
+
+async function adminShopRequest(path, method = 'GET', body) {
+    const options = { method, credentials: 'include', headers: {} };
+    if (body) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+    const response = await fetch(`http://localhost:3000/admin/shop${path}?guild=${currentGuildId}`, options);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `Ошибка ${response.status}`);
+    }
+    return data;
+}
+
+function readNumberInput(input) {
+    return input.value === '' ? undefined : Number(input.value);
+}
+
+function createManageShopRow(item) {
+    const rowElement = document.createElement('div');
+    rowElement.classList.add('manage-shop-item');
+    if (item.hidden) {
+        rowElement.classList.add('hidden-item');
+    }
+
+    const nameInput = document.createElement('input');
+    nameInput.value = item.name;
+    const priceInput = document.createElement('input');
+    priceInput.type = 'number';
+    priceInput.value = item.price;
+    const stockInput = document.createElement('input');
+    stockInput.type = 'number';
+    stockInput.value = item.stock;
+    const maxStockInput = document.createElement('input');
+    maxStockInput.type = 'number';
+    maxStockInput.placeholder = 'Макс.';
+    maxStockInput.value = item.maxStock ?? '';
+    const perUserLimitInput = document.createElement('input');
+    perUserLimitInput.type = 'number';
+    perUserLimitInput.placeholder = 'Лимит';
+    perUserLimitInput.value = item.perUserLimit ?? '';
+    const perDayLimitInput = document.createElement('input');
+    perDayLimitInput.type = 'number';
+    perDayLimitInput.placeholder = 'В день';
+    perDayLimitInput.value = item.perDayLimit ?? '';
+    [nameInput, priceInput, stockInput, maxStockInput, perUserLimitInput, perDayLimitInput].forEach(input => rowElement.appendChild(input));
+
+    const actions = [
+        {
+            text: 'Сохранить',
+            handler: () => adminShopRequest(`/items/${item._id}`, 'PUT', {
+                name: nameInput.value,
+                price: readNumberInput(priceInput),
+                stock: readNumberInput(stockInput),
+                maxStock: readNumberInput(maxStockInput) ?? null,
+                perUserLimit: readNumberInput(perUserLimitInput) ?? null,
+                perDayLimit: readNumberInput(perDayLimitInput) ?? null,
+            })
+        },
+        {
+            text: item.hidden ? 'Показать' : 'Скрыть',
+            handler: () => adminShopRequest(`/items/${item._id}/hide`, 'POST', { hidden: !item.hidden })
+        },
+        {
+            text: 'Пополнить',
+            handler: () => {
+                const amount = parseInt(prompt(`Сколько добавить к ${item.name}?`, '1'));
+                if (!amount) return null;
+                return adminShopRequest(`/items/${item._id}/restock`, 'POST', { amount });
+            }
+        },
+        {
+            text: 'Удалить',
+            handler: () => {
+                if (!confirm(`Удалить ${item.name}?`)) return null;
+                return adminShopRequest(`/items/${item._id}`, 'DELETE');
+            }
+        }
+    ];
+
+    actions.forEach(action => {
+        const button = document.createElement('button');
+        button.classList.add('manage-shop-button');
+        button.textContent = action.text;
+        button.addEventListener('click', async () => {
+            try {
+                const result = await action.handler();
+                if (result === null) return;
+                shopDataCache = null;
+                await displayManageShop();
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+        rowElement.appendChild(button);
+    });
+
+    return rowElement;
+}
+
+function describeShopChange(entry) {
+    if (!entry.before || !entry.after) return '';
+    return Object.keys(entry.after)
+        .filter(field => JSON.stringify(entry.before[field]) !== JSON.stringify(entry.after[field]))
+        .map(field => `${field}: ${JSON.stringify(entry.before[field])} → ${JSON.stringify(entry.after[field])}`)
+        .join(', ');
+}
+
+async function displayManageShop() {
+    try {
+        const [items, audit] = await Promise.all([adminShopRequest('/items'), adminShopRequest('/audit')]);
+
+        manageShopItemsContainer.innerHTML = '';
+        items.forEach(item => manageShopItemsContainer.appendChild(createManageShopRow(item)));
+
+        manageShopAuditContainer.innerHTML = '';
+        audit.forEach(entry => {
+            const entryElement = document.createElement('div');
+            entryElement.classList.add('manage-shop-audit-entry');
+            const changes = describeShopChange(entry);
+            entryElement.textContent = `${new Date(entry.createdAt).toLocaleString('ru-RU')} — ${entry.actorName || entry.actorId} ${shopAuditActionNames[entry.action] || entry.action} «${entry.itemName}»${changes ? ` (${changes})` : ''}`;
+            manageShopAuditContainer.appendChild(entryElement);
+        });
+    } catch (error) {
+        console.error("Ошибка в displayManageShop:", error);
+        manageShopItemsContainer.textContent = error.message;
+    }
+}
+
+manageShopForm.addEventListener('submit', async event => {
+    event.preventDefault();
+    const form = event.target;
+    const fields = form.elements;
+    try {
+        await adminShopRequest('/items', 'POST', {
+            name: fields.namedItem('name').value,
+            price: readNumberInput(fields.namedItem('price')),
+            stock: readNumberInput(fields.namedItem('stock')),
+            maxStock: readNumberInput(fields.namedItem('maxStock')),
+            perUserLimit: readNumberInput(fields.namedItem('perUserLimit')),
+            perDayLimit: readNumberInput(fields.namedItem('perDayLimit')),
+            unique: fields.namedItem('unique').checked,
+        });
+        form.reset();
+        shopDataCache = null;
+        await displayManageShop();
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
 function displayLeaderboardData(data, tableId) {
     const leaderboardTableBody = document.querySelector(`#${tableId} tbody`);
     leaderboardTableBody.innerHTML = '';
   
-    data.forEach((user, index) => {
+    data.forEach(user => {
       const row = document.createElement('tr');
+      if (user.isCaller) {
+          row.classList.add('leaderboard-caller-row');
+      }
       
       const rankCell = document.createElement('td');
-      rankCell.textContent = index + 1;
+      rankCell.textContent = user.rank;
       rankCell.setAttribute('data-label', '#'); 
+      if (user.change && user.change.trend !== 'same') {
+          const changeElement = document.createElement('span');
+          changeElement.classList.add('rank-change', `rank-change-${user.change.trend}`);
+          changeElement.textContent = user.change.trend === 'new' ? 'new' : `${user.change.trend === 'up' ? '▲' : '▼'}${Math.abs(user.change.delta)}`;
+          changeElement.title = user.change.trend === 'new' ? 'Новый участник таблицы' : `Было место ${user.change.previousRank}`;
+          rankCell.appendChild(changeElement);
+      }
       row.appendChild(rankCell);
   
       const usernameCell = document.createElement('td');
@@ -600,13 +1465,13 @@ function displayLeaderboardData(data, tableId) {
 
         const valueCell = document.createElement('td');
         if (tableId === 'voice-leaderboard') {
-          valueCell.textContent = formatVoiceTime(user.voiceTime);
+          valueCell.textContent = formatVoiceTime(user.value);
           valueCell.setAttribute('data-label', 'Время'); 
         } else if (tableId === 'stars-leaderboard') {
-          valueCell.textContent = `${Math.round(user.stars)} ⭐`;
+          valueCell.textContent = `${Math.round(user.value)} ⭐`;
           valueCell.setAttribute('data-label', 'Звёзды');
         } else if (tableId === 'messages-leaderboard') {
-          valueCell.textContent = user.totalMessages;
+          valueCell.textContent = user.value;
           valueCell.setAttribute('data-label', 'Сообщения');
         }
         row.appendChild(valueCell);
@@ -655,17 +1520,227 @@ function formatVoiceTime(seconds) {
     return result.trim();
 }
 
+const nominationPeriodNames = {
+    daily: 'Дневная',
+    weekly: 'Недельная',
+    monthly: 'Месячная',
+};
+
+const nominationCategoryNames = {
+    messages: 'по сообщениям',
+    mutes: 'по мьютам',
+};
+
+async function fetchNominations(page) {
+    try {
+        const params = new URLSearchParams({ guild: currentGuildId, page });
+        if (hallOfFamePeriodSelect.value) params.set('period', hallOfFamePeriodSelect.value);
+        if (hallOfFameCategorySelect.value) params.set('category', hallOfFameCategorySelect.value);
+
+        const response = await fetch(`http://localhost:3000/nominations?${params}`);
+        if (!response.ok) {
+            throw new Error(`Ошибка при получении номинаций: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error("Ошибка в fetchNominations:", error);
+        return null;
+    }
+}
+
+function formatNominationPeriod(nomination) {
+    const start = new Date(nomination.periodStart).toLocaleDateString('ru-RU');
+    if (nomination.periodStart === nomination.periodEnd) {
+        return start;
+    }
+    return `${start} – ${new Date(nomination.periodEnd).toLocaleDateString('ru-RU')}`;
+}
+
+async function displayHallOfFame(page) {
+    const nominations = await fetchNominations(page);
+    if (!nominations) {
+        hallOfFameContainer.textContent = 'Не удалось загрузить зал славы';
+        return;
+    }
+
+    if (page === 1) {
+        hallOfFameContainer.innerHTML = '';
+        if (nominations.data.length === 0) {
+            hallOfFameContainer.textContent = 'Победителей пока нет';
+        }
+    }
+
+    nominations.data.forEach(nomination => {
+        const nominationElement = document.createElement('div');
+        nominationElement.classList.add('hall-of-fame-entry');
+
+        const titleElement = document.createElement('div');
+        titleElement.classList.add('hall-of-fame-entry-title');
+        titleElement.textContent = `${nominationPeriodNames[nomination.period]} номинация ${nominationCategoryNames[nomination.category]} · ${formatNominationPeriod(nomination)}`;
+        nominationElement.appendChild(titleElement);
+
+        const winnerElement = document.createElement('div');
+        winnerElement.classList.add('hall-of-fame-entry-winner');
+        winnerElement.textContent = `🏆 ${nomination.winner.username || nomination.winner.userId} — ${nomination.winner.value}`;
+        nominationElement.appendChild(winnerElement);
+
+        if (nomination.runnerUps.length > 0) {
+            const runnerUpsElement = document.createElement('div');
+            runnerUpsElement.classList.add('hall-of-fame-entry-runner-ups');
+            runnerUpsElement.textContent = nomination.runnerUps
+                .map((runnerUp, index) => `${index + 2}. ${runnerUp.username || runnerUp.userId} — ${runnerUp.value}`)
+                .join(', ');
+            nominationElement.appendChild(runnerUpsElement);
+        }
+
+        hallOfFameContainer.appendChild(nominationElement);
+    });
+
+    hallOfFamePage = page;
+    hallOfFameMoreButton.classList.toggle('hidden', nominations.page >= nominations.totalPages);
+}
+
+hallOfFameMoreButton.addEventListener('click', () => displayHallOfFame(hallOfFamePage + 1));
+hallOfFamePeriodSelect.addEventListener('change', () => displayHallOfFame(1));
+hallOfFameCategorySelect.addEventListener('change', () => displayHallOfFame(1));
+
+async function fetchSeasons() {
+    try {
+        const response = await fetch(`http://localhost:3000/seasons?guild=${currentGuildId}&limit=100`);
+        if (!response.ok) {
+            throw new Error(`Ошибка при получении сезонов: ${response.status} ${response.statusText}`);
+        }
+        return (await response.json()).data;
+    } catch (error) {
+        console.error("Ошибка в fetchSeasons:", error);
+        return null;
+    }
+}
+
+async function fetchSeasonStandings(seasonId, metric, page) {
+    try {
+        const params = new URLSearchParams({ guild: currentGuildId, metric, page });
+        const response = await fetch(`http://localhost:3000/seasons/${seasonId}/standings?${params}`);
+        if (!response.ok) {
+            throw new Error(`Ошибка при получении таблицы сезона: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error("Ошибка в fetchSeasonStandings:", error);
+        return null;
+    }
+}
+
+function formatSeasonValue(metric, value) {
+    if (metric === 'voice') return formatVoiceTime(value) || '0 мин';
+    if (metric === 'stars') return `${Math.round(value)} ⭐`;
+    return value;
+}
+
+function formatSeasonReward(reward) {
+    if (!reward) return '';
+    const parts = [];
+    if (reward.stars) parts.push(`${reward.stars} ⭐`);
+    if (reward.itemName) parts.push(`${reward.itemName} × ${reward.quantity}`);
+    return parts.join(', ');
+}
+
+async function initializeSeasons() {
+    const seasons = await fetchSeasons();
+    seasonSelect.innerHTML = '';
+    if (!seasons || seasons.length === 0) {
+        seasonInfo.textContent = seasons ? 'Сезонов пока не было' : 'Не удалось загрузить сезоны';
+        seasonStandingsBody.innerHTML = '';
+        return;
+    }
+
+    seasons.forEach(season => {
+        const option = document.createElement('option');
+        option.value = season._id;
+        option.textContent = `Сезон ${season.number}: ${season.name}${season.status === 'active' ? ' (идёт)' : ''}`;
+        seasonSelect.appendChild(option);
+    });
+    await displaySeasonStandings(1);
+}
+
+async function displaySeasonStandings(page) {
+    const standings = await fetchSeasonStandings(seasonSelect.value, seasonMetricSelect.value, page);
+    if (!standings) {
+        seasonInfo.textContent = 'Не удалось загрузить таблицу сезона';
+        return;
+    }
+
+    const { season } = standings;
+    const start = new Date(season.startDate).toLocaleDateString('ru-RU');
+    const end = new Date(season.endDate).toLocaleDateString('ru-RU');
+    seasonInfo.textContent = season.status === 'active'
+        ? `${start} – ${end} · идёт, итоги и награды после окончания`
+        : `${start} – ${end} · сезон завершён`;
+
+    if (page === 1) {
+        seasonStandingsBody.innerHTML = '';
+    }
+
+    standings.data.forEach(entry => {
+        const row = document.createElement('tr');
+
+        const rankCell = document.createElement('td');
+        rankCell.textContent = entry.rank;
+        rankCell.setAttribute('data-label', '#');
+        row.appendChild(rankCell);
+
+        const usernameCell = document.createElement('td');
+        usernameCell.textContent = entry.username || 'Удалённый пользователь';
+        usernameCell.setAttribute('data-label', 'Пользователь');
+        row.appendChild(usernameCell);
+
+        const valueCell = document.createElement('td');
+        valueCell.textContent = formatSeasonValue(standings.metric, entry.value);
+        valueCell.setAttribute('data-label', 'Результат');
+        row.appendChild(valueCell);
+
+        const rewardCell = document.createElement('td');
+        rewardCell.textContent = formatSeasonReward(entry.reward);
+        rewardCell.setAttribute('data-label', 'Награда');
+        row.appendChild(rewardCell);
+
+        seasonStandingsBody.appendChild(row);
+    });
+
+    seasonStandingsPage = page;
+    seasonMoreButton.classList.toggle('hidden', standings.page >= standings.totalPages);
+}
+
+seasonSelect.addEventListener('change', () => displaySeasonStandings(1));
+seasonMetricSelect.addEventListener('change', () => displaySeasonStandings(1));
+seasonMoreButton.addEventListener('click', () => displaySeasonStandings(seasonStandingsPage + 1));
+
+const leaderboardPeriodSelect = document.querySelector('.leaderboard-period');
+const leaderboardAroundButton = document.querySelector('.leaderboard-around-button');
+let leaderboardAround = false;
+
 async function initializeLeaderboards() {
-    const voiceLeaderboardData = await fetchLeaderboardData('voiceTime');
+    const period = leaderboardPeriodSelect.value;
+    const around = leaderboardAround ? cachedUuid : null;
+
+    const voiceLeaderboardData = await fetchLeaderboardData('voice', period, around);
     displayLeaderboardData(voiceLeaderboardData, 'voice-leaderboard');
 
-    const starsLeaderboardData = await fetchLeaderboardData('stars');
+    // Звёзды - текущий баланс, у них нет периодов
+    const starsLeaderboardData = await fetchLeaderboardData('stars', 'all', around);
     displayLeaderboardData(starsLeaderboardData, 'stars-leaderboard');
 
-    const messagesLeaderboardData = await fetchLeaderboardData('messages');
+    const messagesLeaderboardData = await fetchLeaderboardData('messages', period, around);
     displayLeaderboardData(messagesLeaderboardData, 'messages-leaderboard');
 }
 
+leaderboardPeriodSelect.addEventListener('change', initializeLeaderboards);
+leaderboardAroundButton.addEventListener('click', () => {
+    leaderboardAround = !leaderboardAround;
+    leaderboardAroundButton.textContent = leaderboardAround ? 'Лидеры' : 'Моё место';
+    initializeLeaderboards();
+});
+
 let shopTabLastClicked = 0;
 
 tabs.forEach(tab => {
@@ -685,23 +1760,31 @@ tabs.forEach(tab => {
                 tab.classList.remove('disabled');
             }, 5000);
 
-            let uuid = localStorage.getItem('uuid');
-            if (!uuid) {
-                const searchParams = new URLSearchParams(window.location.search);
-                uuid = searchParams.get('uuid');
-                if (uuid) {
-                    localStorage.setItem('uuid', uuid);
-                }
-            }
+            const uuid = cachedUuid;
 
             if (uuid) {
                 console.log("Отображаем магазин для uuid:", uuid);
-                cachedUuid = uuid;
                 await displayShopData(uuid);
             } else {
                 console.error("Ошибка: uuid не определён при переключении на вкладку Магазин");
             }
         }
+
+        if (tabId === 'inventory' && cachedUuid) {
+            await displayInventory(cachedUuid);
+        }
+
+        if (tabId === 'quests' && cachedUuid) {
+            await displayQuests(cachedUuid);
+        }
+
+        if (tabId === 'history' && cachedUuid) {
+            await displayTransactions(cachedUuid, 1);
+        }
+
+        if (tabId === 'manage-shop') {
+            await displayManageShop();
+        }
     });
 });
 
@@ -723,18 +1806,16 @@ function checkDataLoading(data, loadingTimeout) {
 async function main() {
     console.log("функция main() вызвана");
     try {
-
-        
-        let uuid = localStorage.getItem('uuid');
-
-        if (!uuid) {
-            const searchParams = new URLSearchParams(window.location.search);
-            uuid = searchParams.get('uuid');
-            if (uuid) {
-                localStorage.setItem('uuid', uuid);
-            }
+        const loadedGuildConfig = await fetchGuildConfig(currentGuildId);
+        if (loadedGuildConfig) {
+            guildConfig = loadedGuildConfig;
+            applyGuildTheme(guildConfig.theme);
         }
 
+        const currentUser = await fetchCurrentUser();
+        const uuid = currentUser ? currentUser.uuid : null;
+        cachedUuid = uuid;
+
         console.log(
             `%cЗдравствуйте!`,
             `color: #2f68dc; font-size: 6em; font-weight: bold; text-shadow: 0 0 2px #0d2f63;`
@@ -758,6 +1839,10 @@ async function main() {
             checkDataLoading(profileData, loadingTimeout);
             displayProfileData(profileData);
 
+            if (isGuildAdmin(profileData.roles)) {
+                document.querySelector('.profile-tab[data-tab="manage-shop"]').classList.remove('hidden');
+            }
+
             const achievementsData = await fetchAchievementsData(uuid);
             displayAchievementsData(achievementsData);
 
@@ -770,6 +1855,12 @@ async function main() {
             logoutButton.style.display = 'block';
             logoutButton.addEventListener('click', logout);
 
+            document.querySelector('.profile-personal-data').classList.remove('hidden');
+            leaderboardAroundButton.classList.remove('hidden');
+            document.querySelector('.delete-account-button').addEventListener('click', deleteAccount);
+            fillPrivacyForm(profileData.privacy);
+            setupProfileCard(uuid);
+
         } else {
             console.log("UUID не найден");
             showLoginButton();
@@ -777,19 +1868,111 @@ async function main() {
             logoutButton.style.display = 'none';
         }
         initializeLeaderboards();
+        displayHallOfFame(1);
+        initializeSeasons();
     } catch (error) {
         console.error("Ошибка в main:", error);
         achievementsContainer.innerHTML = '<div style="color: white">Не удалось загрузить достижения</div>';
     }
 }
 
+const privacyForm = document.querySelector('.privacy-form');
+
+function setupProfileCard(uuid) {
+    const layoutSelect = document.querySelector('.profile-card-layout');
+    const urlInput = document.querySelector('.profile-card-url');
+    const preview = document.querySelector('.profile-card-preview');
+
+    const update = () => {
+        const url = `http://localhost:3000/card/${uuid}.svg?guild=${currentGuildId}&layout=${layoutSelect.value}`;
+        urlInput.value = url;
+        preview.src = url;
+    };
+    layoutSelect.addEventListener('change', update);
+    urlInput.addEventListener('focus', () => urlInput.select());
+    update();
+}
+
+function fillPrivacyForm(privacy) {
+    if (!privacy) return;
+    for (const setting of ['balance', 'staffStats', 'activity']) {
+        privacyForm.elements.namedItem(setting).value = privacy[setting];
+    }
+    privacyForm.elements.namedItem('listedOnLeaderboards').checked = privacy.listedOnLeaderboards;
+}
+
+privacyForm.addEventListener('submit', async event => {
+    event.preventDefault();
+    const settings = {
+        balance: privacyForm.elements.namedItem('balance').value,
+        staffStats: privacyForm.elements.namedItem('staffStats').value,
+        activity: privacyForm.elements.namedItem('activity').value,
+        listedOnLeaderboards: privacyForm.elements.namedItem('listedOnLeaderboards').checked,
+    };
+
+    try {
+        const response = await fetch('http://localhost:3000/me/privacy', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify(settings),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Ошибка при сохранении настроек');
+        }
+        fillPrivacyForm(data.privacy);
+        alert(data.message);
+    } catch (error) {
+        console.error("Ошибка при сохранении настроек приватности:", error);
+        alert(error.message);
+    }
+});
+
+async function deleteAccount() {
+    if (!confirm('Удалить все ваши данные? Статистика, звёзды, инвентарь и достижения будут потеряны безвозвратно.')) {
+        return;
+    }
+
+    try {
+        const requestResponse = await fetch('http://localhost:3000/me/delete-request', { method: 'POST', credentials: 'include' });
+        const request = await requestResponse.json();
+        if (!requestResponse.ok) {
+            throw new Error(request.error || 'Не удалось запросить удаление');
+        }
+
+        if (prompt('Чтобы подтвердить удаление, введите УДАЛИТЬ') !== 'УДАЛИТЬ') {
+            return;
+        }
+
+        const response = await fetch('http://localhost:3000/me', {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ confirmationToken: request.confirmationToken }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Ошибка при удалении данных');
+        }
+        alert(data.message);
+        window.location.reload();
+    } catch (error) {
+        console.error("Ошибка в deleteAccount:", error);
+        alert(error.message);
+    }
+}
+
 function logout() {
-    localStorage.removeItem('uuid');
-    localStorage.removeItem('userId');
     console.log("Выход из аккаунта");
     shopDataCache = null; 
     cachedProfileData = {}; 
-    window.location.href = 'http://127.0.0.1:5500/index.html';
+    cachedUuid = null;
+    window.location.href = 'http://localhost:3000/logout';
 }
 
 function showLoginButton() {
@@ -813,8 +1996,9 @@ function showError(message) {
 
 main();
 
-function createMessagesChart(data, label, days) {
-    let chartCanvas = document.getElementById('messagesChart');
+// reverse: ось Y сверху вниз, чтобы первое место было наверху графика
+function createDateChart(canvasId, data, label, days, color, reverse = false) {
+    let chartCanvas = document.getElementById(canvasId);
     let existingChart = Chart.getChart(chartCanvas);
 
     if (existingChart) {
@@ -823,13 +2007,14 @@ function createMessagesChart(data, label, days) {
 
     if (!chartCanvas) {
         chartCanvas = document.createElement('canvas');
-        chartCanvas.id = 'messagesChart';
+        chartCanvas.id = canvasId;
         chartCanvas.width = 400;
         chartCanvas.height = 200;
 
         const profileTabContent = document.querySelector('.profile-tab-content[data-tab="stats"]');
         profileTabContent.insertBefore(chartCanvas, document.getElementById('backButton'));
     }
+    chartCanvas.style.display = 'block';
 
     const ctx = chartCanvas.getContext('2d');
 
@@ -848,21 +2033,23 @@ function createMessagesChart(data, label, days) {
             datasets: [{
                 label: label,
                 data: values,
-                backgroundColor: 'rgba(0, 255, 255, 0.2)',
-                borderColor: 'rgba(0, 255, 255, 1)',
+                backgroundColor: `rgba(${color}, 0.2)`,
+                borderColor: `rgba(${color}, 1)`,
                 borderWidth: 3,
                 tension: 0.4,
                 pointRadius: 3,
-                pointBackgroundColor: 'rgba(0, 255, 255, 1)'
+                pointBackgroundColor: `rgba(${color}, 1)`
             }]
         },
         options: {
             color: '#fff',
             scales: {
                 y: {
-                    beginAtZero: true,
+                    beginAtZero: !reverse,
+                    reverse: reverse,
                     ticks: {
-                        color: '#fff'
+                        color: '#fff',
+                        precision: 0
                     },
                     grid: {
                         color: 'rgba(255, 255, 255, 0.2)'
@@ -888,44 +2075,85 @@ function createMessagesChart(data, label, days) {
     });
 }
 
-async function displayMessagesChart(userId, period) {
+async function displayMessagesChart(uuid, period) {
     showStatsContent(false);
-    const messagesByDate = await fetchMessagesByDate(userId);
+    const [messagesByDate, voiceByDate] = await Promise.all([fetchMessagesByDate(uuid), fetchVoiceByDate(uuid)]);
     if (!messagesByDate) return;
 
     let label = '';
     let days = 0;
 
     if (period === 'all') {
-        label = 'Сообщения за все время';
+        label = 'за все время';
         days = Object.keys(messagesByDate).length;
     } else if (period === '7days') {
-        label = 'Сообщения за последние 7 дней';
+        label = 'за последние 7 дней';
         days = 7;
     } else if (period === '30days') {
-        label = 'Сообщения за последние 30 дней';
+        label = 'за последние 30 дней';
         days = 30;
     }
 
-    createMessagesChart(messagesByDate, label, days);
+    createDateChart('messagesChart', messagesByDate, `Сообщения ${label}`, days, '0, 255, 255');
+
+    if (voiceByDate) {
+        const voiceMinutesByDate = {};
+        for (const [date, seconds] of Object.entries(voiceByDate)) {
+            voiceMinutesByDate[date] = Math.round(seconds / 60);
+        }
+        createDateChart('voiceChart', voiceMinutesByDate, `Минуты в голосе ${label}`, days, '110, 64, 201');
+    }
+}
+
+async function fetchRankHistory(uuid, metric, period, days) {
+    try {
+        const params = new URLSearchParams({ uuid, metric, period, days, guild: currentGuildId });
+        const response = await fetch(`http://localhost:3000/leaderboard/history?${params}`, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Ошибка при получении истории мест: ${response.status} ${response.statusText}`);
+        }
+        return (await response.json()).data;
+    } catch (error) {
+        console.error(error);
+        return null;
+    }
+}
+
+async function displayRankChart(uuid) {
+    const history = await fetchRankHistory(uuid, 'messages', 'all', 90);
+    if (!history) return;
+    if (history.length === 0) {
+        alert('История мест пока пуста: снимки таблиц лидеров делаются раз в сутки');
+        return;
+    }
+
+    showStatsContent(false);
+    const ranksByDate = {};
+    history.forEach(point => {
+        if (point.rank) {
+            ranksByDate[point.takenAt.slice(0, 10)] = point.rank;
+        }
+    });
+    createDateChart('rankChart', ranksByDate, 'Место по сообщениям за 90 дней', 0, '255, 215, 0', true);
 }
 
 function showStatsContent(show) {
     const statsContent = document.querySelector('.profile-stats');
     const staffStatsContent = document.querySelector('.profile-staff-stats');
-    const chartCanvas = document.getElementById('messagesChart');
+    const chartCanvases = ['messagesChart', 'voiceChart', 'rankChart'].map(id => document.getElementById(id)).filter(Boolean);
     let backButton = document.getElementById('backButton');
 
     if (show) {
         statsContent.style.display = 'block';
         staffStatsContent.style.display = 'block';
-        if (chartCanvas) chartCanvas.style.display = 'none';
+        chartCanvases.forEach(chartCanvas => chartCanvas.style.display = 'none');
 
         if (backButton) backButton.remove();
     } else {
         statsContent.style.display = 'none';
         staffStatsContent.style.display = 'none';
-        if (chartCanvas) chartCanvas.style.display = 'block';
+        // Нужные графики показывает createDateChart
+        chartCanvases.forEach(chartCanvas => chartCanvas.style.display = 'none');
 
         if (!backButton) {
             backButton = document.createElement('button');
@@ -962,10 +2190,14 @@ function filterMessagesByDays(messagesByDate, days) {
     return filteredData;
 }
 
+let leaderboardCountdownInterval = null;
+
 function startCountdown(milliseconds) {
     const countdownElement = document.getElementById('countdown');
     let timeLeft = milliseconds / 1000;
 
+    // Каждая таблица перезапускает отсчёт, поэтому предыдущий таймер нужно остановить
+    clearInterval(leaderboardCountdownInterval);
     const interval = setInterval(() => {
         if (timeLeft <= 0) {
             clearInterval(interval);
@@ -978,4 +2210,5 @@ function startCountdown(milliseconds) {
         countdownElement.textContent = `Обновление данных через: ${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
         timeLeft -= 1;
     }, 1000);
+    leaderboardCountdownInterval = interval;
 }
\ No newline at end of file
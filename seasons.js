@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+const CommandStats = require('./CommandStats');
+const StarTransaction = require('./StarTransaction');
+const ActivityBucket = require('./ActivityBucket');
+const GuildConfig = require('./GuildConfig');
+const Item = require('./Item');
+const Season = require('./Season');
+const SeasonStats = require('./SeasonStats');
+const { toDateKey } = require('./rollup');
+const { applyStarChange } = require('./ledger');
+const { addInventoryItem } = require('./inventoryItems');
+const { getRankedPage } = require('./leaderboards');
+
+const SEASON_CADENCES = ['monthly', 'quarterly'];
+
+// Метрика сезона -> поле SeasonStats
+const SEASON_METRICS = {
+  messages: 'messages',
+  voice: 'voiceSeconds',
+  stars: 'starsEarned',
+};
+
+// Сколько мест каждой таблицы сохраняется в архиве сезона
+const ARCHIVED_STANDINGS_SIZE = 100;
+
+// Звёзды сезона - заработанные за сезон. Возвраты, выдачи админов и сами награды сезона не считаются
+const NON_EARNING_TYPES = ['refund', 'admin_grant', 'season_reward'];
+
+const MONTH_NAMES = ['Январь', 'Февраль', 'Март', 'Апрель', 'Май', 'Июнь', 'Июль', 'Август', 'Сентябрь', 'Октябрь', 'Ноябрь', 'Декабрь'];
+const QUARTER_NAMES = ['I', 'II', 'III', 'IV'];
+
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date;
+}
+
+// Границы сезона (UTC), в который попадает date: календарный месяц или квартал
+function getSeasonRange(cadence, date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  if (cadence === 'quarterly') {
+    start.setUTCMonth(start.getUTCMonth() - (start.getUTCMonth() % 3));
+  }
+  const end = new Date(start);
+  end.setUTCMonth(end.getUTCMonth() + (cadence === 'quarterly' ? 3 : 1), 0);
+  return { startDate: toDateKey(start), endDate: toDateKey(end) };
+}
+
+function getSeasonName(cadence, startDate) {
+  const start = new Date(`${startDate}T00:00:00Z`);
+  return cadence === 'quarterly'
+    ? `${QUARTER_NAMES[Math.floor(start.getUTCMonth() / 3)]} квартал ${start.getUTCFullYear()}`
+    : `${MONTH_NAMES[start.getUTCMonth()]} ${start.getUTCFullYear()}`;
+}
+
+// Текущий сезон сервера; создаётся, если предыдущий уже закончился.
+// Смена cadence в настройках действует со следующего сезона.
+async function ensureCurrentSeason(guildConfig, now = new Date()) {
+  const serverId = guildConfig.guildId;
+  const last = await Season.findOne({ serverId }).sort({ endDate: -1 }).lean();
+  if (last && last.endDate >= toDateKey(now)) {
+    return last;
+  }
+
+  const cadence = guildConfig.seasons.cadence;
+  let { startDate, endDate } = getSeasonRange(cadence, now);
+  if (last && last.endDate >= startDate) {
+    startDate = toDateKey(addDays(last.endDate, 1)); // Не пересекаемся с сезоном, закончившимся посреди периода
+  }
+
+  try {
+    const season = await Season.create({
+      serverId,
+      number: last ? last.number + 1 : 1,
+      name: getSeasonName(cadence, startDate),
+      cadence,
+      startDate,
+      endDate,
+      rewards: guildConfig.seasons.rewards || [],
+    });
+    return season.toObject();
+  } catch (error) {
+    if (error.code === 11000) {
+      return Season.findOne({ serverId, startDate }).lean(); // Сезон уже создал параллельный запуск
+    }
+    throw error;
+  }
+}
+
+// Сообщения и голос по дням из корзин с from по конец сезона: дни до foldTo уже не меняются и складываются
+// в closed-счётчики, а более поздние (сегодняшний) пересчитываются при каждом запуске
+async function getSeasonBuckets(season, from, foldTo) {
+  const rows = await ActivityBucket.aggregate([
+    { $match: { serverId: season.serverId, date: { $gte: from, $lte: season.endDate } } },
+    {
+      $group: {
+        _id: '$userId',
+        foldedMessages: { $sum: { $cond: [{ $lt: ['$date', foldTo] }, '$messages', 0] } },
+        foldedVoiceSeconds: { $sum: { $cond: [{ $lt: ['$date', foldTo] }, '$voiceSeconds', 0] } },
+        openMessages: { $sum: { $cond: [{ $lt: ['$date', foldTo] }, 0, '$messages'] } },
+        openVoiceSeconds: { $sum: { $cond: [{ $lt: ['$date', foldTo] }, 0, '$voiceSeconds'] } },
+      },
+    },
+  ]);
+  return new Map(rows.map(({ _id, ...row }) => [_id, row]));
+}
+
+// Звёзды, заработанные после since, и чистое изменение баланса по журналу
+function sumLedger(transactions, since) {
+  let earned = 0;
+  let net = 0;
+  for (const transaction of transactions) {
+    if (since && transaction.createdAt <= since) {
+      continue;
+    }
+    net += transaction.amount;
+    if (transaction.amount > 0 && !NON_EARNING_TYPES.includes(transaction.type)) {
+      earned += transaction.amount;
+    }
+  }
+  return { earned, net };
+}
+
+// Обновляет счётчики сезона приростом с прошлого запуска, а не пересчётом всей истории:
+// - сообщения и голос - из дневных корзин, причём закончившиеся дни складываются один раз;
+// - звёзды - заработок из журнала плюс рост баланса, которого в журнале нет (звёзды, выданные ботом напрямую).
+// Каждая запись помнит, до какого дня и момента она посчитана, поэтому повтор после сбоя ничего не удваивает.
+async function rollupSeason(season, now = new Date()) {
+  const { serverId } = season;
+  const today = toDateKey(now);
+  const from = season.foldedThrough || season.startDate;
+  const foldTo = today > season.endDate ? toDateKey(addDays(season.endDate, 1)) : today;
+  const since = season.countersUpdatedAt || addDays(season.startDate, 0);
+
+  const buckets = await getSeasonBuckets(season, from, foldTo);
+  const transactions = await StarTransaction.find({ serverId, createdAt: { $gt: since, $lte: now } })
+    .select('userId amount type createdAt')
+    .lean();
+  const transactionsByUser = new Map();
+  for (const transaction of transactions) {
+    if (!transactionsByUser.has(transaction.userId)) {
+      transactionsByUser.set(transaction.userId, []);
+    }
+    transactionsByUser.get(transaction.userId).push(transaction);
+  }
+  const previous = new Map((await SeasonStats.find({ seasonId: season._id }).lean()).map(stats => [stats.userId, stats]));
+
+  let operations = [];
+  let updated = 0;
+  const cursor = CommandStats.find({ serverId }).select('userId username privacy stars').lean().cursor();
+
+  // Участники без CommandStats (удалённые аккаунты) в таблицы сезона не попадают
+  for await (const user of cursor) {
+    const prev = previous.get(user.userId) || {};
+    const bucket = buckets.get(user.userId) || { foldedMessages: 0, foldedVoiceSeconds: 0, openMessages: 0, openVoiceSeconds: 0 };
+    const alreadyFolded = prev.foldedThrough === foldTo;
+    const closedMessages = (prev.closedMessages || 0) + (alreadyFolded ? 0 : bucket.foldedMessages);
+    const closedVoiceSeconds = (prev.closedVoiceSeconds || 0) + (alreadyFolded ? 0 : bucket.foldedVoiceSeconds);
+
+    const ledger = sumLedger(transactionsByUser.get(user.userId) || [], prev.updatedAt);
+    const stars = user.stars || 0;
+    // Первый запуск для участника только запоминает баланс
+    const unledgered = prev.lastStars == null ? 0 : stars - prev.lastStars - ledger.net;
+
+    const privacy = user.privacy || {};
+    const entry = {
+      serverId,
+      username: user.username,
+      closedMessages,
+      closedVoiceSeconds,
+      messages: closedMessages + bucket.openMessages,
+      voiceSeconds: closedVoiceSeconds + bucket.openVoiceSeconds,
+      starsEarned: (prev.starsEarned || 0) + ledger.earned + Math.max(0, unledgered),
+      lastStars: stars,
+      foldedThrough: foldTo,
+      listed: privacy.listedOnLeaderboards !== false,
+      balanceListed: !privacy.balance || privacy.balance === 'public',
+    };
+
+    const unchanged = Object.keys(entry).every(field => prev[field] === entry[field]);
+    if (unchanged) {
+      continue;
+    }
+    operations.push({
+      updateOne: {
+        filter: { seasonId: season._id, userId: user.userId },
+        update: { $set: { ...entry, updatedAt: now } },
+        upsert: true,
+      },
+    });
+
+    if (operations.length >= 500) {
+      await SeasonStats.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await SeasonStats.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+  }
+
+  await Season.updateOne({ _id: season._id }, { $set: { foldedThrough: foldTo, countersUpdatedAt: now } });
+  return updated;
+}
+
+function seasonStandingsFilter(seasonId, metric) {
+  const filter = { seasonId, listed: true, [SEASON_METRICS[metric]]: { $gt: 0 } };
+  if (metric === 'stars') {
+    filter.balanceListed = true;
+  }
+  return filter;
+}
+
+// Страница таблицы сезона: у идущего сезона - по текущим счётчикам, у архивного - итоговая
+async function getSeasonStandings({ season, metric, offset, limit }) {
+  if (season.status === 'archived') {
+    const rows = (season.standings && season.standings[metric]) || [];
+    return { total: rows.length, data: rows.slice(offset, offset + limit) };
+  }
+  return getRankedPage(SeasonStats, seasonStandingsFilter(season._id, metric), SEASON_METRICS[metric], offset, limit);
+}
+
+// Награда за место: первое подходящее правило сезона для этой метрики
+function findSeasonReward(rewards, metric, rank) {
+  return rewards.find(reward => reward.metric === metric && rank >= reward.fromRank && rank <= reward.toRank) || null;
+}
+
+// Закрывает сезон: финальный пересчёт, архив итоговых таблиц и выплата наград одной транзакцией.
+// При равенстве значений участники делят место, поэтому на границе наград их может получить больше N человек.
+async function finalizeSeason(season, now = new Date()) {
+  await rollupSeason(season, now);
+
+  const standings = {};
+  for (const metric of Object.keys(SEASON_METRICS)) {
+    const { data } = await getSeasonStandings({ season: { ...season, status: 'active' }, metric, offset: 0, limit: ARCHIVED_STANDINGS_SIZE });
+    standings[metric] = data;
+  }
+
+  const itemIds = season.rewards.filter(reward => reward.itemId).map(reward => reward.itemId);
+  const items = new Map((await Item.find({ _id: { $in: itemIds } })).map(item => [item._id.toString(), item]));
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const claimed = await Season.findOneAndUpdate(
+      { _id: season._id, status: 'active' },
+      { $set: { status: 'archived', archivedAt: now } },
+      { new: true, session }
+    );
+    if (!claimed) {
+      await session.abortTransaction();
+      return null; // Сезон уже закрыл параллельный запуск
+    }
+
+    let rewarded = 0;
+    for (const [metric, rows] of Object.entries(standings)) {
+      for (const row of rows) {
+        const reward = findSeasonReward(season.rewards, metric, row.rank);
+        if (!reward) {
+          continue;
+        }
+
+        row.reward = { stars: 0, itemId: null, itemName: null, quantity: 0 };
+        if (reward.stars > 0) {
+          const result = await applyStarChange({
+            userId: row.userId,
+            serverId: season.serverId,
+            amount: reward.stars,
+            type: 'season_reward',
+            note: `Сезон «${season.name}»: ${row.rank} место (${metric})`,
+            session,
+          });
+          if (result) {
+            row.reward.stars = reward.stars;
+          }
+        }
+
+        const item = reward.itemId && items.get(reward.itemId.toString());
+        if (item) {
+          await addInventoryItem({ userId: row.userId, guildId: season.serverId, item, quantity: reward.quantity, session });
+          row.reward = { ...row.reward, itemId: item._id.toString(), itemName: item.name, quantity: reward.quantity };
+        }
+        rewarded++;
+      }
+    }
+
+    await Season.updateOne({ _id: season._id }, { $set: { standings } }, { session });
+    await session.commitTransaction();
+    return { seasonId: season._id, rewarded };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+// Закрывает закончившиеся сезоны, открывает новые и пересчитывает счётчики идущих
+async function tickSeasons(now = new Date()) {
+  let finalized = 0;
+  const ended = await Season.find({ status: 'active', endDate: { $lt: toDateKey(now) } }).lean();
+  for (const season of ended) {
+    if (await finalizeSeason(season, now)) {
+      finalized++;
+    }
+  }
+
+  let active = 0;
+  const guilds = await GuildConfig.find({ 'seasons.enabled': true }).lean();
+  for (const guildConfig of guilds) {
+    const season = await ensureCurrentSeason(guildConfig, now);
+    await rollupSeason(season, now);
+    active++;
+  }
+
+  return { finalized, active };
+}
+
+module.exports = {
+  SEASON_CADENCES,
+  SEASON_METRICS,
+  getSeasonRange,
+  getSeasonName,
+  ensureCurrentSeason,
+  rollupSeason,
+  getSeasonStandings,
+  findSeasonReward,
+  finalizeSeason,
+  tickSeasons,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => tickSeasons())
+    .then(({ finalized, active }) => console.log(`Закрыто сезонов: ${finalized}, идущих сезонов: ${active}`))
+    .catch(err => console.error('Ошибка обработки сезонов:', err))
+    .finally(() => mongoose.disconnect());
+}
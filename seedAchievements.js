@@ -0,0 +1,32 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Achievement = require('./Achievement');
+
+const defaultAchievements = [
+  { name: 'message_master', description: 'Написать 500 сообщений за 24 часа', icon: '💬', rule: { kind: 'counter', field: 'messagesToday', target: 500 }, order: 1 },
+  { name: 'voice_champion', description: 'Попасть в топ 1 за 24 часа по голосовому времени', icon: '🎙️', rule: { kind: 'rank', field: 'voiceTimeToday', target: 1 }, order: 2 },
+  { name: 'lovebird', description: 'Создать брак через бота', icon: '💍', rule: { kind: 'event' }, order: 3 },
+  { name: 'voice_time_10s', description: 'Просидеть 1 час в голосовом канале подряд', icon: '⏱️', rule: { kind: 'session', target: 3600 }, order: 4 },
+];
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(async () => {
+    console.log('Connected to MongoDB');
+
+    for (const achievement of defaultAchievements) {
+      // $setOnInsert не перезаписывает достижения, уже изменённые в базе
+      await Achievement.updateOne({ name: achievement.name }, { $setOnInsert: achievement }, { upsert: true });
+      console.log(`Achievement ${achievement.name} seeded`);
+    }
+
+    // Раньше voice_time_10s считался по общему voiceTime; переводим на длину одной сессии
+    const fixed = await Achievement.updateOne(
+      { name: 'voice_time_10s', 'rule.kind': 'counter', 'rule.field': 'voiceTime' },
+      { $set: { rule: { kind: 'session', field: null, target: 3600 } } }
+    );
+    if (fixed.modifiedCount > 0) {
+      console.log('Achievement voice_time_10s switched to session rule');
+    }
+  })
+  .catch(err => console.error('Error seeding achievements:', err))
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const GuildConfig = require('./GuildConfig');
+const Item = require('./Item');
+const Inventory = require('./inventory');
+const { DEFAULT_GUILD_ID } = require('./guilds');
+
+const bandaZeyna = {
+  guildId: DEFAULT_GUILD_ID,
+  name: 'Банда Зейна',
+  staffRoles: [
+    { roleId: '1043565185509630022', name: '🛠️ Админ', isAdmin: true },
+    { roleId: '1243243180800082001', name: '🔧 Тех Админ', isAdmin: true, className: 'tech-admin' },
+    { roleId: '1075072592005824563', name: '💎 Старший модератор' },
+    { roleId: '1043614651444899991', name: '👾 Модератор' },
+    { roleId: '1043615386660257872', name: '🐞 Хелпер' },
+  ],
+  discountRoles: [
+    { roleId: '1260383669839724634', percentage: 20 },
+  ],
+  shop: { enabled: true, weekendDiscount: 5, stacking: 'multiplicative', maxDiscount: 90 },
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(async () => {
+    console.log('Connected to MongoDB');
+
+    await GuildConfig.updateOne({ guildId: bandaZeyna.guildId }, { $setOnInsert: bandaZeyna }, { upsert: true });
+    console.log(`Guild config ${bandaZeyna.name} seeded`);
+
+    // Товары, созданные до появления нескольких серверов, принадлежат основному серверу
+    const result = await Item.updateMany({ guildId: { $exists: false } }, { $set: { guildId: bandaZeyna.guildId } });
+    console.log(`Items assigned to ${bandaZeyna.guildId}: ${result.modifiedCount}`);
+
+    const inventories = await Inventory.updateMany({ guildId: { $exists: false } }, { $set: { guildId: bandaZeyna.guildId } });
+    console.log(`Inventories assigned to ${bandaZeyna.guildId}: ${inventories.modifiedCount}`);
+  })
+  .catch(err => console.error('Error seeding guilds:', err))
+  .finally(() => mongoose.disconnect());
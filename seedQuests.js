@@ -0,0 +1,27 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const QuestTemplate = require('./QuestTemplate');
+
+const defaultQuests = [
+  { key: 'daily_messages_100', period: 'daily', description: 'Отправить 100 сообщений за сегодня', icon: '💬', field: 'totalMessages', target: 100, reward: { stars: 20 }, order: 1 },
+  { key: 'daily_messages_30', period: 'daily', description: 'Отправить 30 сообщений за сегодня', icon: '✉️', field: 'totalMessages', target: 30, reward: { stars: 5 }, order: 2 },
+  { key: 'daily_voice_30m', period: 'daily', description: 'Провести 30 минут в голосовых каналах', icon: '🎙️', field: 'voiceTime', target: 30 * 60, reward: { stars: 15 }, order: 3 },
+  { key: 'daily_shop_purchase', period: 'daily', description: 'Купить что-нибудь в магазине', icon: '🛒', field: 'purchaseCount', target: 1, reward: { stars: 10 }, order: 4 },
+  { key: 'daily_voice_2h', period: 'daily', description: 'Провести 2 часа в голосовых каналах', icon: '🎧', field: 'voiceTime', target: 2 * 60 * 60, reward: { stars: 40 }, order: 5 },
+  { key: 'weekly_messages_1000', period: 'weekly', description: 'Отправить 1000 сообщений за неделю', icon: '📨', field: 'totalMessages', target: 1000, reward: { stars: 100 }, order: 6 },
+  { key: 'weekly_voice_10h', period: 'weekly', description: 'Провести 10 часов в голосовых каналах за неделю', icon: '📻', field: 'voiceTime', target: 10 * 60 * 60, reward: { stars: 120 }, order: 7 },
+  { key: 'weekly_shop_purchases', period: 'weekly', description: 'Сделать 3 покупки в магазине за неделю', icon: '🛍️', field: 'purchaseCount', target: 3, reward: { stars: 50 }, order: 8 },
+];
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(async () => {
+    console.log('Connected to MongoDB');
+
+    for (const quest of defaultQuests) {
+      // $setOnInsert не перезаписывает шаблоны, уже изменённые в базе
+      await QuestTemplate.updateOne({ key: quest.key }, { $setOnInsert: quest }, { upsert: true });
+      console.log(`Quest ${quest.key} seeded`);
+    }
+  })
+  .catch(err => console.error('Error seeding quests:', err))
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,97 @@
+const CommandStats = require('./CommandStats');
+const VoiceSession = require('./VoiceSession');
+const { toDateKey, recordActivity } = require('./rollup');
+
+// Разбивает сессию по дням (UTC), чтобы сессия через полночь попала в оба дня
+function splitByDay(startedAt, endedAt) {
+  const days = new Map();
+  let cursor = new Date(startedAt);
+
+  while (cursor < endedAt) {
+    const nextDay = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth(), cursor.getUTCDate() + 1));
+    const chunkEnd = nextDay < endedAt ? nextDay : endedAt;
+    const key = toDateKey(cursor);
+    days.set(key, (days.get(key) || 0) + Math.round((chunkEnd - cursor) / 1000));
+    cursor = chunkEnd;
+  }
+  return days;
+}
+
+// Записывает законченную сессию: сама сессия, секунды по дням в voiceByDate и дневные корзины.
+// voiceTime по-прежнему увеличивает бот, а voiceByDate ведётся только здесь.
+async function recordVoiceSession({ userId, serverId, channelId, channelName = null, startedAt, endedAt = new Date() }) {
+  const start = new Date(startedAt);
+  const end = new Date(endedAt);
+  const durationSeconds = Math.round((end - start) / 1000);
+  if (!(durationSeconds > 0)) {
+    return null;
+  }
+
+  const session = await VoiceSession.create({ userId, serverId, channelId, channelName, startedAt: start, endedAt: end, durationSeconds });
+
+  const days = splitByDay(start, end);
+  const inc = {};
+  for (const [date, seconds] of days) {
+    inc[`voiceByDate.${date}`] = seconds;
+  }
+  await CommandStats.updateOne({ userId, serverId }, { $inc: inc });
+
+  for (const [date, seconds] of days) {
+    await recordActivity({ userId, serverId, date: new Date(date), voiceSeconds: seconds });
+  }
+  return session;
+}
+
+// Открытые сессии: сервер_пользователь -> канал и время входа. Хранятся в памяти процесса,
+// поэтому после перезапуска сессии тех, кто уже сидит в канале, считаются с момента запуска
+const openSessions = new Map();
+
+function startVoiceSession(state, startedAt = new Date()) {
+  openSessions.set(`${state.guild.id}_${state.id}`, {
+    channelId: state.channelId,
+    channelName: state.channel ? state.channel.name : null,
+    startedAt,
+  });
+}
+
+function isBotState(state) {
+  return Boolean(state.member && state.member.user.bot);
+}
+
+// Обработчик voiceStateUpdate: выход или переход в другой канал закрывает сессию, вход открывает новую.
+// Включение микрофона, звука и трансляции канал не меняет и сессию не прерывает.
+async function handleVoiceStateUpdate(oldState, newState, now = new Date()) {
+  if (oldState.channelId === newState.channelId || isBotState(newState)) {
+    return null;
+  }
+
+  const key = `${oldState.guild.id}_${oldState.id}`;
+  const open = oldState.channelId ? openSessions.get(key) : null;
+  openSessions.delete(key);
+  if (newState.channelId) {
+    startVoiceSession(newState, now);
+  }
+
+  if (!open) {
+    return null;
+  }
+  return recordVoiceSession({ userId: oldState.id, serverId: oldState.guild.id, ...open, endedAt: now });
+}
+
+// При запуске бота открывает сессии участникам, которые уже сидят в голосовых каналах
+function resumeVoiceSessions(guilds, now = new Date()) {
+  for (const guild of guilds.values()) {
+    for (const state of guild.voiceStates.cache.values()) {
+      if (state.channelId && !isBotState(state)) {
+        startVoiceSession(state, now);
+      }
+    }
+  }
+}
+
+async function getLongestSessionSeconds(userId, serverId) {
+  const longest = await VoiceSession.findOne({ userId, serverId }).sort({ durationSeconds: -1 }).select('durationSeconds').lean();
+  return longest ? longest.durationSeconds : 0;
+}
+
+module.exports = { splitByDay, recordVoiceSession, handleVoiceStateUpdate, resumeVoiceSessions, getLongestSessionSeconds };